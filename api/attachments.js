@@ -0,0 +1,215 @@
+/**
+ * BENXI — Attachment Routes
+ *
+ * Chunked, resumable upload and download of encrypted attachment blobs.
+ * Clients encrypt before upload and share the ID and key inside an
+ * end-to-end encrypted message. The server stores opaque bytes only and
+ * records neither uploader nor downloader.
+ */
+
+'use strict';
+
+const express = require('express');
+const crypto  = require('crypto');
+const { query } = require('../db/connection');
+const cache     = require('../cache/redis');
+const storage   = require('../storage');
+const { requireAuth } = require('../middleware/auth');
+const { routeLimiter } = require('../middleware/rateLimit');
+const { messageExpiry } = require('../db/queue');
+
+const router = express.Router();
+
+const MAX_BYTES   = parseInt(process.env.ATTACHMENT_MAX_BYTES   || String(100 * 1024 * 1024), 10);
+const CHUNK_BYTES = parseInt(process.env.ATTACHMENT_CHUNK_BYTES || String(1024 * 1024), 10);
+const ID_PATTERN  = /^[0-9a-f]{64}$/;
+
+function hashUploadKey(uploadKey) {
+  return crypto.createHash('sha256').update(String(uploadKey)).digest();
+}
+
+/**
+ * Load an attachment row and check the X-Upload-Key header against it.
+ * Unknown IDs and wrong keys are indistinguishable to the caller.
+ */
+async function loadForUpload(req) {
+  const { id } = req.params;
+  const uploadKey = req.headers['x-upload-key'];
+  if (!ID_PATTERN.test(id) || !uploadKey) return null;
+
+  const result = await query(
+    `SELECT id, upload_key_hash, size, received, complete
+     FROM attachments
+     WHERE id = $1 AND expires_at > NOW()`,
+    [id]
+  );
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  if (!crypto.timingSafeEqual(hashUploadKey(uploadKey), row.upload_key_hash)) return null;
+  return row;
+}
+
+// ─── POST /api/v1/attachments ────────────────────────────────────────────────
+// Allocate an attachment. Returns its unguessable ID and the upload key
+// needed to send chunks.
+// Body: { size: number }
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/', requireAuth, routeLimiter('attachment_create', 30), async (req, res) => {
+  try {
+    const { size } = req.body;
+
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ error: 'invalid_size' });
+    }
+    if (size > MAX_BYTES) {
+      return res.status(413).json({ error: 'attachment_too_large' });
+    }
+
+    const id        = crypto.randomBytes(32).toString('hex');
+    const uploadKey = crypto.randomBytes(32).toString('hex');
+
+    // Kept as long as the messages that can reference it
+    await query(
+      `INSERT INTO attachments (id, upload_key_hash, size, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [id, hashUploadKey(uploadKey), size, messageExpiry()]
+    );
+    await storage.create(id);
+
+    return res.status(201).json({
+      attachment_id: id,
+      upload_key:    uploadKey,
+      chunk_size:    CHUNK_BYTES,
+    });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[attachments/create]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── GET /api/v1/attachments/:id/upload ──────────────────────────────────────
+// Upload progress, for resuming after a dropped connection.
+// Headers: X-Upload-Key
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.get('/:id/upload', requireAuth, async (req, res) => {
+  try {
+    const row = await loadForUpload(req);
+    if (!row) return res.status(404).json({ error: 'attachment_not_found' });
+
+    return res.json({
+      offset:   parseInt(row.received, 10),
+      size:     parseInt(row.size, 10),
+      complete: row.complete,
+    });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[attachments/status]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── PATCH /api/v1/attachments/:id ───────────────────────────────────────────
+// Append one chunk. The chunk must start exactly where the upload left off.
+// Headers: X-Upload-Key, Upload-Offset, Content-Type: application/octet-stream
+// Body: raw bytes, at most chunk_size
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.patch(
+  '/:id',
+  requireAuth,
+  express.raw({ type: 'application/octet-stream', limit: CHUNK_BYTES }),
+  async (req, res) => {
+    const lockKey = `attachment_lock:${req.params.id}`;
+    let locked = false;
+
+    try {
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      if (chunk.length === 0) return res.status(400).json({ error: 'empty_chunk' });
+
+      // One writer per attachment at a time, so racing retries cannot interleave bytes.
+      // Taken before reading the offset so the check below cannot go stale.
+      locked = await cache.redis.set(lockKey, '1', 'PX', 30000, 'NX') === 'OK';
+      if (!locked) return res.status(409).json({ error: 'upload_in_progress' });
+
+      const row = await loadForUpload(req);
+      if (!row) return res.status(404).json({ error: 'attachment_not_found' });
+
+      const offset   = Number(req.headers['upload-offset']);
+      const received = parseInt(row.received, 10);
+      const size     = parseInt(row.size, 10);
+
+      if (row.complete) return res.status(409).json({ error: 'upload_complete', offset: received });
+      if (offset !== received) {
+        return res.status(409).json({ error: 'offset_mismatch', offset: received });
+      }
+      if (offset + chunk.length > size) {
+        return res.status(413).json({ error: 'chunk_exceeds_size' });
+      }
+
+      await storage.write(row.id, offset, chunk);
+
+      const result = await query(
+        `UPDATE attachments
+         SET received = received + $3,
+             complete = (received + $3 = size)
+         WHERE id = $1 AND received = $2
+         RETURNING received, complete`,
+        [row.id, offset, chunk.length]
+      );
+      if (result.rows.length === 0) {
+        return res.status(409).json({ error: 'offset_mismatch' });
+      }
+
+      return res.json({
+        offset:   parseInt(result.rows[0].received, 10),
+        complete: result.rows[0].complete,
+      });
+
+    } catch (err) {
+      if (process.env.LOG_LEVEL !== 'none') console.error('[attachments/upload]', err.message);
+      return res.status(500).json({ error: 'internal_error' });
+    } finally {
+      if (locked) await cache.redis.del(lockKey).catch(() => {});
+    }
+  }
+);
+
+// ─── GET /api/v1/attachments/:id ─────────────────────────────────────────────
+// Download a completed attachment by ID. Knowing the ID is the capability.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ID_PATTERN.test(id)) return res.status(404).json({ error: 'attachment_not_found' });
+
+    const result = await query(
+      `SELECT size FROM attachments
+       WHERE id = $1 AND complete AND expires_at > NOW()`,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'attachment_not_found' });
+    }
+
+    res.set({
+      'Content-Type':   'application/octet-stream',
+      'Content-Length': result.rows[0].size,
+      'Cache-Control':  'no-store',
+    });
+
+    const stream = storage.createReadStream(id);
+    stream.on('error', () => res.destroy());
+    return stream.pipe(res);
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[attachments/download]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+module.exports = router;
@@ -9,34 +9,120 @@
 'use strict';
 
 const express = require('express');
+const crypto  = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const sodium = require('libsodium-wrappers');
 const jwt    = require('jsonwebtoken');
-const { query } = require('../db/connection');
-const { redis }  = require('../cache/redis');
+const { query, withTransaction } = require('../db/connection');
+const cache      = require('../cache/redis');
+const { requireAuth } = require('../middleware/auth');
+const { revokeToken, bumpSessionEpoch, cacheDeviceEpoch } = require('../db/sessions');
+const { closeSessions, notifyKeyChange } = require('../websocket/relay');
+const { PRIMARY_DEVICE_ID, parseDeviceId, listDevices } = require('../db/devices');
+const { MAX_PREKEYS_PER_UPLOAD, insertOneTimePrekeys } = require('../db/prekeys');
+const { appendKey } = require('../db/transparency');
+const { recordKeyChange } = require('../db/keyChanges');
+const { hashHandle } = require('../db/handles');
+const { validate, types } = require('../middleware/validate');
+const {
+  requireProofOfWork, adaptiveDifficulty, recordUse, issuePuzzle, redeemPuzzle, PUZZLE_TTL, PUZZLE_BYTES,
+} = require('../middleware/pow');
+const { routeLimiter, consumeQuota } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Account actions sign a context string, a fresh nonce and any new key material.
+// The context keeps these signatures distinct from login challenge signatures.
+const DELETE_CONTEXT = 'benxi-delete-account-v1';
+const ROTATE_CONTEXT = 'benxi-rotate-identity-v1';
+
+const MAX_AUTH_ATTEMPTS_PER_HOUR = parseInt(process.env.MAX_AUTH_ATTEMPTS_PER_HOUR || '10', 10);
+// Signups per hour above which registration puzzles get harder
+const REGISTRATIONS_PER_HOUR     = parseInt(process.env.REGISTRATIONS_PER_HOUR_BASELINE || '100', 10);
+const HANDLE_LOOKUPS_PER_HOUR    = parseInt(process.env.HANDLE_LOOKUPS_PER_HOUR || '60', 10);
+
+const optionalDeviceId = { ...types.deviceId, optional: true };
+
+const registerSchema = {
+  body: {
+    public_key:       types.identityKey,
+    registration_id:  types.registrationId,
+    signed_prekey:    types.signedPrekey,
+    one_time_prekeys: types.oneTimePrekeys(MAX_PREKEYS_PER_UPLOAD),
+    pow: {
+      type: 'object',
+      fields: {
+        challenge: { type: 'hex', bytes: PUZZLE_BYTES },
+        nonce:     { type: 'hex', minBytes: 1, maxBytes: 32 },
+      },
+    },
+  },
+};
+const challengeSchema = { body: { public_key: types.identityKey, device_id: optionalDeviceId } };
+const verifySchema    = {
+  body: { public_key: types.identityKey, signature: types.signature, device_id: optionalDeviceId },
+};
+const deleteSchema = { body: { signature: types.signature } };
+const handleSchema = {
+  body: { handle: { type: 'string', min: 3, max: 32, pattern: /^[a-z][a-z0-9_.]*$/i } },
+};
+const rotateSchema = {
+  body: {
+    new_public_key: types.identityKey,
+    signed_prekey:  types.signedPrekey,
+    old_signature:  types.signature,
+    new_signature:  types.signature,
+  },
+};
+
+function actionMessage(context, nonce, ...parts) {
+  return Buffer.concat([Buffer.from(`${context}\0`), Buffer.from(nonce, 'hex'), ...parts]);
+}
+
+function verifySignature(signature, message, publicKey) {
+  const sigBytes = Buffer.from(String(signature || ''), 'hex');
+  if (sigBytes.length !== sodium.crypto_sign_BYTES) return false;
+  return sodium.crypto_sign_verify_detached(sigBytes, message, publicKey);
+}
+
+// ─── POST /api/v1/accounts/register/challenge ────────────────────────────────
+// Issue a registration puzzle, valid for PUZZLE_TTL seconds and usable once.
+// Solve by finding a hex `nonce` such that
+//   SHA-256("benxi-pow:register:<challenge>:<nonce>") has `bits` leading zero bits.
+// `bits` rises automatically while signup volume is high.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/register/challenge', async (req, res) => {
+  try {
+    const bits      = await adaptiveDifficulty('register', REGISTRATIONS_PER_HOUR);
+    const challenge = await issuePuzzle('register', bits);
+
+    return res.json({ challenge, bits, expires_in: PUZZLE_TTL });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/register-challenge]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
 // ─── POST /api/v1/accounts/register ──────────────────────────────────────────
 // Create a new anonymous account.
-// Body: { public_key: hex, registration_id: number, signed_prekey: {...}, one_time_prekeys: [...] }
+// Body: { public_key: hex, registration_id: number, signed_prekey: {...}, one_time_prekeys: [...],
+//         pow: { challenge: hex, nonce: hex } }
+// The puzzle is consumed by the attempt, whether or not registration succeeds.
 // ─────────────────────────────────────────────────────────────────────────────
 
-router.post('/register', async (req, res) => {
+router.post('/register', validate(registerSchema), async (req, res) => {
   try {
     await sodium.ready;
 
-    const { public_key, registration_id, signed_prekey, one_time_prekeys } = req.body;
+    const { public_key, registration_id, signed_prekey, one_time_prekeys, pow } = req.body;
 
-    if (!public_key || !registration_id || !signed_prekey || !one_time_prekeys) {
-      return res.status(400).json({ error: 'missing_fields' });
+    if (!await redeemPuzzle('register', pow.challenge.toLowerCase(), pow.nonce.toLowerCase())) {
+      return res.status(403).json({ error: 'invalid_proof_of_work' });
     }
 
-    // Validate key lengths
     const pubKeyBytes = Buffer.from(public_key, 'hex');
-    if (pubKeyBytes.length !== sodium.crypto_sign_PUBLICKEYBYTES) {
-      return res.status(400).json({ error: 'invalid_key_length' });
-    }
 
     // Verify signed prekey signature
     const spkPubKey   = Buffer.from(signed_prekey.public_key, 'hex');
@@ -47,33 +133,44 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'invalid_signed_prekey_signature' });
     }
 
-    // Store account (no IP, no timestamp linkable to identity)
-    const account = await query(
-      `INSERT INTO accounts (public_key, registration_id)
-       VALUES ($1, $2)
-       RETURNING id`,
-      [pubKeyBytes, registration_id]
-    );
+    // All-or-nothing: a failed registration leaves no partial account behind
+    const accountId = await withTransaction(async (client) => {
+      // Store account (no IP, no timestamp linkable to identity)
+      const account = await client.query(
+        `INSERT INTO accounts (public_key)
+         VALUES ($1)
+         RETURNING id`,
+        [pubKeyBytes]
+      );
 
-    const accountId = account.rows[0].id;
+      const id = account.rows[0].id;
 
-    // Store signed prekey
-    await query(
-      `INSERT INTO signed_prekeys (account_id, key_id, public_key, signature)
-       VALUES ($1, $2, $3, $4)`,
-      [accountId, signed_prekey.key_id, spkPubKey, spkSig]
-    );
+      // Log the identity key binding (see db/transparency.js)
+      await appendKey(client, id, pubKeyBytes);
 
-    // Store one-time prekeys
-    for (const otpk of one_time_prekeys) {
-      await query(
-        `INSERT INTO one_time_prekeys (account_id, key_id, public_key)
+      // The registering device becomes the primary device
+      await client.query(
+        `INSERT INTO devices (account_id, device_id, registration_id)
          VALUES ($1, $2, $3)`,
-        [accountId, otpk.key_id, Buffer.from(otpk.public_key, 'hex')]
+        [id, PRIMARY_DEVICE_ID, registration_id]
       );
-    }
 
-    return res.status(201).json({ account_id: accountId });
+      // Store signed prekey
+      await client.query(
+        `INSERT INTO signed_prekeys (account_id, device_id, key_id, public_key, signature)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [id, PRIMARY_DEVICE_ID, signed_prekey.key_id, spkPubKey, spkSig]
+      );
+
+      // Store one-time prekeys
+      await insertOneTimePrekeys(client, id, PRIMARY_DEVICE_ID, one_time_prekeys);
+
+      return id;
+    });
+
+    await recordUse('register');
+
+    return res.status(201).json({ account_id: accountId, device_id: PRIMARY_DEVICE_ID });
 
   } catch (err) {
     if (err.code === '23505') {
@@ -85,15 +182,21 @@ router.post('/register', async (req, res) => {
 });
 
 // ─── POST /api/v1/accounts/challenge ─────────────────────────────────────────
-// Request an authentication challenge.
-// Body: { public_key: hex }
+// Request an authentication challenge for one device of the account.
+// Body: { public_key: hex, device_id?: number (default 1) }
 // ─────────────────────────────────────────────────────────────────────────────
 
-router.post('/challenge', async (req, res) => {
+router.post('/challenge', requireProofOfWork('challenge'), validate(challengeSchema), async (req, res) => {
   try {
     const { public_key } = req.body;
+    const deviceId = parseDeviceId(req.body.device_id);
 
-    if (!public_key) return res.status(400).json({ error: 'missing_fields' });
+    // Bounds login attempts against one key. Counted before the lookup, so
+    // unknown keys are throttled the same way and nothing is enumerable.
+    const keyHash = crypto.createHash('sha256').update(public_key.toLowerCase()).digest('hex');
+    if (!await consumeQuota(`auth:${keyHash}`, MAX_AUTH_ATTEMPTS_PER_HOUR, 3600)) {
+      return res.status(429).json({ error: 'rate_limit_exceeded' });
+    }
 
     const pubKeyBytes = Buffer.from(public_key, 'hex');
 
@@ -111,10 +214,10 @@ router.post('/challenge', async (req, res) => {
 
     // Generate challenge nonce (random, single-use)
     const nonce = require('crypto').randomBytes(32).toString('hex');
-    const challengeKey = `challenge:${public_key}`;
+    const challengeKey = `challenge:${public_key}:${deviceId}`;
 
     // Store nonce in Redis for 2 minutes
-    await redis.set(challengeKey, nonce, 'EX', 120);
+    await cache.redis.set(challengeKey, nonce, 'EX', 120);
 
     return res.json({ nonce });
 
@@ -125,23 +228,23 @@ router.post('/challenge', async (req, res) => {
 });
 
 // ─── POST /api/v1/accounts/verify ────────────────────────────────────────────
-// Verify challenge response and issue session token.
-// Body: { public_key: hex, signature: hex }
+// Verify challenge response and issue a session token for the device.
+// Body: { public_key: hex, signature: hex, device_id?: number (default 1) }
 // ─────────────────────────────────────────────────────────────────────────────
 
-router.post('/verify', async (req, res) => {
+router.post('/verify', validate(verifySchema), async (req, res) => {
   try {
     await sodium.ready;
 
     const { public_key, signature } = req.body;
-    if (!public_key || !signature) return res.status(400).json({ error: 'missing_fields' });
+    const deviceId = parseDeviceId(req.body.device_id);
 
     const pubKeyBytes = Buffer.from(public_key, 'hex');
     const sigBytes    = Buffer.from(signature, 'hex');
-    const challengeKey = `challenge:${public_key}`;
+    const challengeKey = `challenge:${public_key}:${deviceId}`;
 
     // Retrieve and immediately delete the challenge nonce (single-use)
-    const nonce = await redis.getdel(challengeKey);
+    const nonce = await cache.redis.getdel(challengeKey);
     if (!nonce) return res.status(401).json({ error: 'invalid_or_expired_challenge' });
 
     // Verify signature
@@ -149,24 +252,27 @@ router.post('/verify', async (req, res) => {
     const valid = sodium.crypto_sign_verify_detached(sigBytes, nonceBytes, pubKeyBytes);
     if (!valid) return res.status(401).json({ error: 'invalid_signature' });
 
-    // Fetch account
+    // Fetch account and device
     const result = await query(
-      'SELECT id FROM accounts WHERE public_key = $1',
-      [pubKeyBytes]
+      `SELECT a.id, d.session_epoch
+       FROM accounts a
+       JOIN devices d ON d.account_id = a.id
+       WHERE a.public_key = $1 AND d.device_id = $2`,
+      [pubKeyBytes, deviceId]
     );
     if (result.rows.length === 0) return res.status(401).json({ error: 'account_not_found' });
 
-    const accountId = result.rows[0].id;
+    const { id: accountId, session_epoch } = result.rows[0];
     const jti = uuidv4();
 
-    // Issue JWT
+    // Issue JWT — `ep` ties it to the device's session epoch for bulk revocation
     const token = jwt.sign(
-      { sub: accountId, jti },
+      { sub: accountId, dev: deviceId, jti, ep: session_epoch },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRY || '24h' }
     );
 
-    return res.json({ token, account_id: accountId });
+    return res.json({ token, account_id: accountId, device_id: deviceId });
 
   } catch (err) {
     if (process.env.LOG_LEVEL !== 'none') console.error('[auth/verify]', err.message);
@@ -174,4 +280,285 @@ router.post('/verify', async (req, res) => {
   }
 });
 
+// ─── POST /api/v1/accounts/logout ────────────────────────────────────────────
+// Revoke the presenting session token and close sockets opened with it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    const { jti, exp } = req.token;
+
+    await revokeToken(jti, exp);
+    closeSessions(req.account_id, { jti });
+
+    return res.json({ logged_out: true });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/logout]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── POST /api/v1/accounts/logout/all ────────────────────────────────────────
+// Revoke every session on every device of the account, including the presenting one.
+// No token list is kept — the account's session epoch is bumped instead.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/logout/all', requireAuth, async (req, res) => {
+  try {
+    await bumpSessionEpoch(req.account_id);
+    closeSessions(req.account_id);
+
+    return res.json({ logged_out: true });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/logout-all]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── POST /api/v1/accounts/me/challenge ──────────────────────────────────────
+// Issue a single-use nonce for a signed account action (deletion, rotation).
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/me/challenge', requireAuth, routeLimiter('account_challenge', 10), async (req, res) => {
+  try {
+    const nonce = require('crypto').randomBytes(32).toString('hex');
+    await cache.redis.set(`account_challenge:${req.account_id}`, nonce, 'EX', 120);
+
+    return res.json({ nonce });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/me-challenge]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── DELETE /api/v1/accounts/me ──────────────────────────────────────────────
+// Permanently delete the account. Devices, prekeys and queued messages go
+// with it through ON DELETE CASCADE.
+// Body: { signature: hex }  — identity key over DELETE_CONTEXT ‖ nonce
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.delete('/me', requireAuth, validate(deleteSchema), async (req, res) => {
+  try {
+    await sodium.ready;
+
+    const accountId = req.account_id;
+
+    const nonce = await cache.redis.getdel(`account_challenge:${accountId}`);
+    if (!nonce) return res.status(401).json({ error: 'invalid_or_expired_challenge' });
+
+    const account = await query('SELECT public_key FROM accounts WHERE id = $1', [accountId]);
+    if (account.rows.length === 0) return res.status(404).json({ error: 'account_not_found' });
+
+    const message = actionMessage(DELETE_CONTEXT, nonce);
+    if (!verifySignature(req.body.signature, message, account.rows[0].public_key)) {
+      return res.status(401).json({ error: 'invalid_signature' });
+    }
+
+    const devices = await listDevices(accountId);
+    await query('DELETE FROM accounts WHERE id = $1', [accountId]);
+
+    // Tokens of deleted devices fail the epoch check from now on
+    for (const device of devices) {
+      await cacheDeviceEpoch(accountId, device.device_id, null);
+    }
+    closeSessions(accountId);
+
+    return res.json({ deleted: true });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/delete]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── POST /api/v1/accounts/rotate-identity ───────────────────────────────────
+// Primary device only: replace the identity key after a suspected compromise.
+// Body: {
+//   new_public_key: hex,
+//   signed_prekey: { key_id, public_key: hex, signature: hex },  — signed by the new key
+//   old_signature: hex,  — old identity key over ROTATE_CONTEXT ‖ nonce ‖ new_public_key
+//   new_signature: hex   — new identity key over the same message
+// }
+// In one transaction: the key is swapped and logged, linked devices (which
+// hold the old key) are unlinked, the primary device's prekeys are replaced
+// and every session is revoked. Linked devices must be linked again afterwards.
+// The change is then published to the key change feed and every open socket.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/rotate-identity', requireAuth, validate(rotateSchema), async (req, res) => {
+  try {
+    await sodium.ready;
+
+    const accountId = req.account_id;
+    if (req.device_id !== PRIMARY_DEVICE_ID) {
+      return res.status(403).json({ error: 'primary_device_required' });
+    }
+
+    const { new_public_key, signed_prekey, old_signature, new_signature } = req.body;
+
+    const newKeyBytes = Buffer.from(new_public_key, 'hex');
+    const spkPubKey   = Buffer.from(signed_prekey.public_key, 'hex');
+    const spkSig      = Buffer.from(signed_prekey.signature, 'hex');
+    if (!verifySignature(signed_prekey.signature, spkPubKey, newKeyBytes)) {
+      return res.status(400).json({ error: 'invalid_signed_prekey_signature' });
+    }
+
+    const nonce = await cache.redis.getdel(`account_challenge:${accountId}`);
+    if (!nonce) return res.status(401).json({ error: 'invalid_or_expired_challenge' });
+
+    const account = await query('SELECT public_key FROM accounts WHERE id = $1', [accountId]);
+    if (account.rows.length === 0) return res.status(404).json({ error: 'account_not_found' });
+
+    const message = actionMessage(ROTATE_CONTEXT, nonce, newKeyBytes);
+    if (!verifySignature(old_signature, message, account.rows[0].public_key) ||
+        !verifySignature(new_signature, message, newKeyBytes)) {
+      return res.status(401).json({ error: 'invalid_signature' });
+    }
+
+    const rotation = await withTransaction(async (client) => {
+      // `swapped` also claims the primary device's next session epoch, as
+      // NEXT_SESSION_EPOCH (db/sessions.js) would: one statement may update the account row once
+      const result = await client.query(
+        `WITH swapped AS (
+           UPDATE accounts SET public_key = $2, session_generation = session_generation + 1
+           WHERE id = $1
+           RETURNING id, session_generation
+         ),
+         unlinked AS (
+           DELETE FROM devices
+           WHERE account_id = (SELECT id FROM swapped) AND device_id <> $3
+           RETURNING device_id
+         ),
+         dropped AS (
+           DELETE FROM one_time_prekeys
+           WHERE account_id = (SELECT id FROM swapped) AND device_id = $3
+         ),
+         dropped_last_resort AS (
+           DELETE FROM last_resort_prekeys
+           WHERE account_id = (SELECT id FROM swapped) AND device_id = $3
+         ),
+         retired AS (
+           DELETE FROM signed_prekeys
+           WHERE account_id = (SELECT id FROM swapped) AND device_id = $3 AND expires_at IS NOT NULL
+         ),
+         replaced AS (
+           UPDATE signed_prekeys
+           SET key_id = $4, public_key = $5, signature = $6, created_at = NOW()
+           WHERE account_id = (SELECT id FROM swapped) AND device_id = $3 AND expires_at IS NULL
+         ),
+         bumped AS (
+           UPDATE devices SET session_epoch = (SELECT session_generation FROM swapped)
+           WHERE account_id = (SELECT id FROM swapped) AND device_id = $3
+           RETURNING session_epoch
+         )
+         SELECT (SELECT session_epoch FROM bumped) AS session_epoch,
+                ARRAY(SELECT device_id FROM unlinked) AS unlinked`,
+        [accountId, newKeyBytes, PRIMARY_DEVICE_ID, signed_prekey.key_id, spkPubKey, spkSig]
+      );
+
+      if (result.rows[0].session_epoch === null) return result.rows[0];
+
+      await appendKey(client, accountId, newKeyBytes);
+      const change = await recordKeyChange(client, accountId);
+      return { ...result.rows[0], change };
+    });
+
+    const { session_epoch, unlinked, change } = rotation;
+    if (session_epoch === null) return res.status(404).json({ error: 'account_not_found' });
+
+    await cacheDeviceEpoch(accountId, PRIMARY_DEVICE_ID, session_epoch);
+    for (const deviceId of unlinked) {
+      await cacheDeviceEpoch(accountId, deviceId, null);
+    }
+    closeSessions(accountId);
+    notifyKeyChange(change);
+
+    return res.json({ rotated: true, unlinked_devices: unlinked });
+
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'key_already_registered' });
+    }
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/rotate-identity]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── PUT /api/v1/accounts/me/handle ──────────────────────────────────────────
+// Opt in to being found by a handle, or replace the current one. The old
+// handle stops resolving at once and may be claimed by anyone afterwards.
+// A 409 reveals that a handle is taken, so every attempt spends the same
+// hourly quota as a lookup.
+// Body: { handle: 3-32 chars, a letter then letters, digits, '_' or '.' }
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.put('/me/handle', requireAuth, routeLimiter('handle_set', 5), validate(handleSchema), async (req, res) => {
+  try {
+    const allowed = await consumeQuota(`handle_lookup:${req.account_id}`, HANDLE_LOOKUPS_PER_HOUR, 3600);
+    if (!allowed) return res.status(429).json({ error: 'rate_limit_exceeded' });
+
+    const handle = req.body.handle.toLowerCase();
+
+    const result = await query(
+      'UPDATE accounts SET handle_hash = $2 WHERE id = $1',
+      [req.account_id, await hashHandle(handle)]
+    );
+    if (result.rowCount === 0) return res.status(404).json({ error: 'account_not_found' });
+
+    return res.json({ handle });
+
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'handle_taken' });
+    }
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/handle-set]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── DELETE /api/v1/accounts/me/handle ───────────────────────────────────────
+// Revoke the handle: lookups of it fail from now on.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.delete('/me/handle', requireAuth, async (req, res) => {
+  try {
+    await query('UPDATE accounts SET handle_hash = NULL WHERE id = $1', [req.account_id]);
+
+    return res.json({ revoked: true });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/handle-revoke]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── POST /api/v1/accounts/lookup ────────────────────────────────────────────
+// Resolve a handle to an account ID. The handle travels in the body so it never
+// appears in a URL. Every lookup, found or not, counts against the caller's
+// hourly quota (HANDLE_LOOKUPS_PER_HOUR), which makes guessing handles slow.
+// Body: { handle }
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/lookup', requireAuth, validate(handleSchema), async (req, res) => {
+  try {
+    const allowed = await consumeQuota(`handle_lookup:${req.account_id}`, HANDLE_LOOKUPS_PER_HOUR, 3600);
+    if (!allowed) return res.status(429).json({ error: 'rate_limit_exceeded' });
+
+    const result = await query(
+      'SELECT id FROM accounts WHERE handle_hash = $1',
+      [await hashHandle(req.body.handle)]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'handle_not_found' });
+
+    return res.json({ account_id: result.rows[0].id });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/lookup]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
 module.exports = router;
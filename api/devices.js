@@ -0,0 +1,194 @@
+/**
+ * BENXI — Device Linking Routes
+ *
+ * Lets one identity run on several devices.
+ * The primary device authorizes each new device with a single-use link code;
+ * the identity key pair itself is transferred client-to-client, never via the server.
+ */
+
+'use strict';
+
+const express = require('express');
+const crypto  = require('crypto');
+const sodium  = require('libsodium-wrappers');
+const { query, withTransaction } = require('../db/connection');
+const cache     = require('../cache/redis');
+const { requireAuth } = require('../middleware/auth');
+const { NEXT_SESSION_EPOCH, cacheDeviceEpoch } = require('../db/sessions');
+const { PRIMARY_DEVICE_ID, parseDeviceId, listDevices } = require('../db/devices');
+const { MAX_PREKEYS_PER_UPLOAD, insertOneTimePrekeys } = require('../db/prekeys');
+const { closeSessions } = require('../websocket/relay');
+const { requireProofOfWork } = require('../middleware/pow');
+const { routeLimiter } = require('../middleware/rateLimit');
+const { validate, types } = require('../middleware/validate');
+
+const router = express.Router();
+
+const MAX_DEVICES = parseInt(process.env.MAX_DEVICES_PER_ACCOUNT || '5', 10);
+const LINK_CODE_TTL_SECONDS = 600;
+
+const registerSchema = {
+  body: {
+    link_code:        types.nonce,
+    registration_id:  types.registrationId,
+    signed_prekey:    types.signedPrekey,
+    one_time_prekeys: types.oneTimePrekeys(MAX_PREKEYS_PER_UPLOAD),
+  },
+};
+
+// ─── GET /api/v1/devices ─────────────────────────────────────────────────────
+// List the authenticated account's devices.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const devices = await listDevices(req.account_id);
+    return res.json({ devices });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[devices/list]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── POST /api/v1/devices/link ───────────────────────────────────────────────
+// Primary device only: issue a single-use code authorizing one new device.
+// The code travels to the new device with the identity key (e.g. QR code).
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/link', requireAuth, routeLimiter('device_link', 5), async (req, res) => {
+  try {
+    if (req.device_id !== PRIMARY_DEVICE_ID) {
+      return res.status(403).json({ error: 'primary_device_required' });
+    }
+
+    const linkCode = crypto.randomBytes(32).toString('hex');
+    await cache.redis.set(`device_link:${linkCode}`, req.account_id, 'EX', LINK_CODE_TTL_SECONDS);
+
+    return res.status(201).json({ link_code: linkCode, expires_in: LINK_CODE_TTL_SECONDS });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[devices/link]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── POST /api/v1/devices ────────────────────────────────────────────────────
+// Register a new device using a link code from the primary device.
+// The signed prekey must be signed by the account's identity key.
+// Body: { link_code: hex, registration_id: number, signed_prekey: {...}, one_time_prekeys: [...] }
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/', requireProofOfWork('device'), validate(registerSchema), async (req, res) => {
+  try {
+    await sodium.ready;
+
+    const { link_code, registration_id, signed_prekey, one_time_prekeys } = req.body;
+
+    // Single-use: retrieve and delete in one step
+    const accountId = await cache.redis.getdel(`device_link:${link_code}`);
+    if (!accountId) return res.status(401).json({ error: 'invalid_or_expired_link_code' });
+
+    const accountResult = await query(
+      'SELECT public_key FROM accounts WHERE id = $1',
+      [accountId]
+    );
+    if (accountResult.rows.length === 0) {
+      return res.status(401).json({ error: 'invalid_or_expired_link_code' });
+    }
+
+    // Verify signed prekey signature against the shared identity key
+    const identityKey = accountResult.rows[0].public_key;
+    const spkPubKey   = Buffer.from(signed_prekey.public_key, 'hex');
+    const spkSig      = Buffer.from(signed_prekey.signature, 'hex');
+    if (!sodium.crypto_sign_verify_detached(spkSig, spkPubKey, identityKey)) {
+      return res.status(400).json({ error: 'invalid_signed_prekey_signature' });
+    }
+
+    // Device, signed prekey and one-time prekeys are stored together or not at all
+    const linked = await withTransaction(async (client) => {
+      // Take the lowest free device ID; a concurrent link racing for it fails on the primary key.
+      // The epoch is fresh, so tokens of a device that held this ID before stay dead.
+      const device = await client.query(
+        `WITH generation AS (${NEXT_SESSION_EPOCH})
+         INSERT INTO devices (account_id, device_id, registration_id, session_epoch)
+         SELECT $1, MIN(candidate), $2, (SELECT epoch FROM generation)
+         FROM generate_series(1, $3::int) AS candidate
+         WHERE candidate NOT IN (SELECT device_id FROM devices WHERE account_id = $1)
+         HAVING MIN(candidate) IS NOT NULL
+         RETURNING device_id, session_epoch`,
+        [accountId, registration_id, MAX_DEVICES]
+      );
+      if (device.rows.length === 0) return null;
+
+      const { device_id: id, session_epoch: epoch } = device.rows[0];
+
+      await client.query(
+        `INSERT INTO signed_prekeys (account_id, device_id, key_id, public_key, signature)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [accountId, id, signed_prekey.key_id, spkPubKey, spkSig]
+      );
+
+      await insertOneTimePrekeys(client, accountId, id, one_time_prekeys);
+
+      return { id, epoch };
+    });
+
+    if (linked === null) {
+      return res.status(409).json({ error: 'too_many_devices' });
+    }
+
+    const { id: deviceId, epoch } = linked;
+    await cacheDeviceEpoch(accountId, deviceId, epoch);
+
+    return res.status(201).json({ account_id: accountId, device_id: deviceId });
+
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'device_link_conflict' });
+    }
+    if (process.env.LOG_LEVEL !== 'none') console.error('[devices/register]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── DELETE /api/v1/devices/:device_id ───────────────────────────────────────
+// Unlink a device. The primary device may remove any other device; a linked
+// device may remove itself. Its prekeys and queued messages go with it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.delete('/:device_id', requireAuth, async (req, res) => {
+  try {
+    const accountId = req.account_id;
+    const deviceId  = parseDeviceId(req.params.device_id);
+
+    if (deviceId === null) return res.status(400).json({ error: 'invalid_device_id' });
+    if (deviceId === PRIMARY_DEVICE_ID) {
+      return res.status(400).json({ error: 'cannot_remove_primary_device' });
+    }
+    if (req.device_id !== PRIMARY_DEVICE_ID && req.device_id !== deviceId) {
+      return res.status(403).json({ error: 'primary_device_required' });
+    }
+
+    const result = await query(
+      `DELETE FROM devices
+       WHERE account_id = $1 AND device_id = $2
+       RETURNING device_id`,
+      [accountId, deviceId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'device_not_found' });
+    }
+
+    await cacheDeviceEpoch(accountId, deviceId, null);
+    closeSessions(accountId, { deviceId });
+
+    return res.json({ deleted: true });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[devices/delete]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,243 @@
+/**
+ * BENXI — Group Delivery Routes
+ *
+ * Server-blind group messaging. There is no group table: the server never
+ * learns who belongs to a group. Each send names its destinations, is
+ * fanned out into the per-device queues in one statement, and is forgotten.
+ *
+ * Groups use sender keys: each member distributes its sender key pairwise
+ * (POST /distribute), then encrypts each group message once (POST /send).
+ */
+
+'use strict';
+
+const express = require('express');
+const { DELIVERY_KEY_BYTES, requireMultiSenderAccess } = require('../middleware/deliveryAccess');
+const {
+  groupSendLimiter, multiDeliveryKeyFailureLimiter, consumeInboundQuota,
+} = require('../middleware/rateLimit');
+const { broadcastToAccount }       = require('../websocket/relay');
+const { listDevicesForAccounts, diffDevices } = require('../db/devices');
+const {
+  MESSAGE_TYPES, MAX_QUEUE_DEPTH, MAX_UNSEALED_QUEUE_DEPTH, enqueue, enqueueShared, fullQueues,
+} = require('../db/queue');
+const { validate, types } = require('../middleware/validate');
+
+const router = express.Router();
+
+const MAX_GROUP_SIZE = parseInt(process.env.MAX_GROUP_SIZE || '500', 10);
+const MAX_CIPHERTEXT_BYTES = 262144;
+
+// Absent on identified sends; a sealed send without it fails the delivery-key check
+const deliveryKey = { type: 'hex', bytes: DELIVERY_KEY_BYTES, optional: true };
+
+const sendSchema = {
+  body: {
+    ciphertext: types.ciphertext,
+    recipients: {
+      type: 'array',
+      min: 1,
+      max: MAX_GROUP_SIZE,
+      items: {
+        type: 'object',
+        fields: {
+          recipient_id: types.uuid,
+          delivery_key: deliveryKey,
+          devices:      { type: 'map', min: 1, key: types.deviceId, values: types.registrationId },
+        },
+      },
+    },
+  },
+};
+const distributeSchema = {
+  body: {
+    recipients: {
+      type: 'array',
+      min: 1,
+      max: MAX_GROUP_SIZE,
+      items: {
+        type: 'object',
+        fields: {
+          recipient_id: types.uuid,
+          delivery_key: deliveryKey,
+          messages: {
+            type: 'map',
+            min: 1,
+            key: types.deviceId,
+            values: {
+              type: 'object',
+              fields: { registration_id: types.registrationId, ciphertext: types.ciphertext },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Rejected delivery keys count per recipient; sealed sends count against the
+// group budget only once every delivery key was accepted
+const senderAccess = [multiDeliveryKeyFailureLimiter, requireMultiSenderAccess, groupSendLimiter];
+
+/**
+ * Shared checks for both routes: duplicate recipients and that every
+ * recipient's device map ({ [device_id]: registration_id }) is current.
+ * Group size is bounded by the schemas. Returns null when the request may
+ * proceed, otherwise { status, body }.
+ */
+async function checkRecipients(recipients, deviceMaps) {
+  const ids = recipients.map(r => r.recipient_id);
+  if (new Set(ids).size !== ids.length) {
+    return { status: 400, body: { error: 'invalid_recipients' } };
+  }
+
+  const devicesByAccount = await listDevicesForAccounts(ids);
+
+  const mismatched = [];
+  let listChanged = false;
+  recipients.forEach((recipient, i) => {
+    const devices = devicesByAccount.get(recipient.recipient_id) || [];
+    const diff = diffDevices(devices, deviceMaps[i]);
+    if (!diff) return;
+
+    if (diff.missing.length > 0 || diff.extra.length > 0) listChanged = true;
+    mismatched.push({
+      recipient_id:    recipient.recipient_id,
+      missing_devices: diff.missing,
+      extra_devices:   diff.extra,
+      stale_devices:   diff.stale,
+    });
+  });
+
+  if (mismatched.length === 0) return null;
+  return {
+    status: listChanged ? 409 : 410,
+    body: { error: listChanged ? 'stale_device_list' : 'stale_devices', recipients: mismatched },
+  };
+}
+
+/**
+ * Per-recipient flood bounds: queue depth, then the inbound quota.
+ * destinations: [{ recipientId, deviceId }]. senderId is set for identified
+ * sends, which get the smaller unsealed share. Returns null or { status, body }.
+ */
+async function checkCapacity(recipients, destinations, senderId) {
+  const full = await fullQueues(destinations, senderId ? MAX_UNSEALED_QUEUE_DEPTH : MAX_QUEUE_DEPTH);
+  if (full.length > 0) {
+    const ids = [...new Set(full.map(row => row.recipient_id))];
+    return { status: 429, body: { error: 'queue_full', recipients: ids } };
+  }
+
+  if (!await consumeInboundQuota(recipients.map(r => r.recipient_id), senderId)) {
+    return { status: 429, body: { error: 'recipient_rate_limited' } };
+  }
+  return null;
+}
+
+function notify(queued) {
+  for (const row of queued) {
+    broadcastToAccount(row.recipient_id, {
+      type: 'new_message',
+      message_id: row.id,
+    }, row.device_id);
+  }
+}
+
+// ─── POST /api/v1/groups/send ────────────────────────────────────────────────
+// Deliver one sender-key ciphertext to every device of every listed member.
+// Body: {
+//   ciphertext: hex,
+//   recipients: [{ recipient_id: uuid, delivery_key: hex, devices: { [device_id]: registration_id } }]
+// }
+// Sealed via per-recipient delivery keys, or identified with a Bearer token.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/send', validate(sendSchema), senderAccess, async (req, res) => {
+  try {
+    const { ciphertext, recipients } = req.body;
+
+    const ciphertextBytes = Buffer.from(ciphertext, 'hex');
+    if (ciphertextBytes.length > MAX_CIPHERTEXT_BYTES) {
+      return res.status(413).json({ error: 'message_too_large' });
+    }
+
+    const rejection = await checkRecipients(recipients, recipients.map(r => r.devices));
+    if (rejection) return res.status(rejection.status).json(rejection.body);
+
+    const destinations = [];
+    for (const recipient of recipients) {
+      for (const deviceId of Object.keys(recipient.devices)) {
+        destinations.push({ recipientId: recipient.recipient_id, deviceId: Number(deviceId) });
+      }
+    }
+
+    const senderId     = req.sealed ? undefined : req.account_id;
+    const overCapacity = await checkCapacity(recipients, destinations, senderId);
+    if (overCapacity) return res.status(overCapacity.status).json(overCapacity.body);
+
+    const queued = await enqueueShared(destinations, ciphertextBytes, MESSAGE_TYPES.SENDER_KEY);
+    notify(queued);
+
+    return res.status(201).json({ delivered: queued.length });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[groups/send]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── POST /api/v1/groups/distribute ──────────────────────────────────────────
+// Deliver pairwise-encrypted group control messages — sender-key distribution
+// or encrypted group state — one ciphertext per member device.
+// Body: {
+//   recipients: [{
+//     recipient_id: uuid, delivery_key: hex,
+//     messages: { [device_id]: { registration_id: number, ciphertext: hex } }
+//   }]
+// }
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/distribute', validate(distributeSchema), senderAccess, async (req, res) => {
+  try {
+    const { recipients } = req.body;
+
+    const rows       = [];
+    const deviceMaps = [];
+    for (const recipient of recipients) {
+      const registrationIds = {};
+      for (const [deviceId, message] of Object.entries(recipient.messages)) {
+        const ciphertextBytes = Buffer.from(message.ciphertext, 'hex');
+        if (ciphertextBytes.length > MAX_CIPHERTEXT_BYTES) {
+          return res.status(413).json({ error: 'message_too_large' });
+        }
+
+        registrationIds[deviceId] = message.registration_id;
+        rows.push({
+          recipientId: recipient.recipient_id,
+          deviceId:    Number(deviceId),
+          ciphertext:  ciphertextBytes,
+          messageType: MESSAGE_TYPES.SENDER_KEY_DISTRIBUTION,
+        });
+      }
+      deviceMaps.push(registrationIds);
+    }
+
+    const rejection = await checkRecipients(recipients, deviceMaps);
+    if (rejection) return res.status(rejection.status).json(rejection.body);
+
+    const senderId     = req.sealed ? undefined : req.account_id;
+    const overCapacity = await checkCapacity(recipients, rows, senderId);
+    if (overCapacity) return res.status(overCapacity.status).json(overCapacity.body);
+
+    const queued = await enqueue(rows);
+    notify(queued);
+
+    return res.status(201).json({ delivered: queued.length });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[groups/distribute]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+module.exports = router;
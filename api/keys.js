@@ -11,80 +11,210 @@ const express = require('express');
 const sodium  = require('libsodium-wrappers');
 const { query } = require('../db/connection');
 const { requireAuth } = require('../middleware/auth');
+const { DELIVERY_KEY_BYTES, hashDeliveryKey } = require('../middleware/deliveryAccess');
+const { consumeQuota } = require('../middleware/rateLimit');
+const { validate, types } = require('../middleware/validate');
+const { MAX_PREKEYS_PER_UPLOAD, insertOneTimePrekeys } = require('../db/prekeys');
+const {
+  treeSize, signedTreeHead, signingPublicKey, inclusionProof, consistencyProof,
+} = require('../db/transparency');
+const { keyChangesSince, fingerprint } = require('../db/keyChanges');
+const { broadcastToAccount } = require('../websocket/relay');
+const cache = require('../cache/redis');
 
 const router = express.Router();
 
+const SPK_GRACE_HOURS  = parseInt(process.env.SIGNED_PREKEY_GRACE_HOURS || '48', 10);
+const SPK_MAX_AGE_DAYS = parseInt(process.env.SIGNED_PREKEY_MAX_AGE_DAYS || '7', 10);
+
+const PREKEY_REFILL_THRESHOLD = parseInt(process.env.PREKEY_REFILL_THRESHOLD || '10', 10);
+const FETCHES_PER_REQUESTER   = parseInt(process.env.PREKEY_FETCHES_PER_HOUR || '200', 10);
+const FETCHES_PER_TARGET      = parseInt(process.env.PREKEY_FETCHES_PER_TARGET_PER_HOUR || '100', 10);
+const LOW_NOTICE_SECONDS      = 60 * 60;
+const MAX_CHANGES_PAGE        = 500;
+
+const prekeyUploadSchema = {
+  body: { one_time_prekeys: { ...types.oneTimePrekeys(MAX_PREKEYS_PER_UPLOAD), min: 1 } },
+};
+const signedKeySchema   = { body: types.signedPrekey.fields };
+const deliveryKeySchema = { body: { delivery_key: { type: 'hex', bytes: DELIVERY_KEY_BYTES } } };
+const deliveryPolicySchema = { body: { accept_unsealed: { type: 'bool' } } };
+const accountParamSchema = { params: { account_id: types.uuid } };
+const changesSchema = {
+  query: {
+    after: { type: 'int', min: 0, optional: true },
+    limit: { type: 'int', min: 1, max: MAX_CHANGES_PAGE, optional: true },
+  },
+};
+const consistencySchema = {
+  query: {
+    from: { type: 'int', min: 0 },
+    to:   { type: 'int', min: 0, optional: true },
+  },
+};
+
+/**
+ * Tell the owner's device over WebSocket that its one-time prekeys are
+ * running low. Sent at most once per hour per device, or again after an upload.
+ */
+async function notifyPrekeysLow(accountId, deviceId, count) {
+  try {
+    const fresh = await cache.redis.set(`prekeys_low:${accountId}:${deviceId}`, '1', 'EX', LOW_NOTICE_SECONDS, 'NX');
+    if (fresh !== 'OK') return;
+  } catch {
+    return;
+  }
+  broadcastToAccount(accountId, { type: 'prekeys_low', device_id: deviceId, count }, deviceId);
+}
+
+/**
+ * Check a prekey signature against the account's identity key.
+ */
+async function verifyPrekeySignature(accountId, publicKey, signature) {
+  const accountResult = await query(
+    'SELECT public_key FROM accounts WHERE id = $1',
+    [accountId]
+  );
+  return sodium.crypto_sign_verify_detached(signature, publicKey, accountResult.rows[0].public_key);
+}
+
+// ─── GET /api/v1/keys/changes ─────────────────────────────────────────────────
+// Query: ?after=<seq>&limit=<n>
+// Identity key rotations of all accounts, oldest first, by account hash (see
+// db/keyChanges.js). Clients compare them against their contacts' hashes and
+// page on with after = the last seq they saw.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.get('/changes', requireAuth, validate(changesSchema), async (req, res) => {
+  try {
+    const { after = 0, limit = MAX_CHANGES_PAGE } = req.query;
+    const changes = await keyChangesSince(after, limit);
+
+    return res.json({ changes, has_more: changes.length === limit });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[keys/changes]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
 // ─── GET /api/v1/keys/:account_id ────────────────────────────────────────────
-// Fetch a prekey bundle to initiate an X3DH session with a user.
-// Consumes one one-time prekey.
+// Fetch one prekey bundle per device to initiate X3DH sessions with a user.
+// Consumes one one-time prekey from each device. When a device has none left,
+// or the target's fetch quota is spent, its last-resort prekey is served instead.
+// `transparency` proves the identity key is in the key log: an audit path from
+// leaf `leaf_index` to the signed tree head it carries.
 // ─────────────────────────────────────────────────────────────────────────────
 
-router.get('/:account_id', requireAuth, async (req, res) => {
+router.get('/:account_id', requireAuth, validate(accountParamSchema), async (req, res) => {
   try {
     const { account_id } = req.params;
 
+    // Quotas are kept per requester and per target, never per pair,
+    // so Redis holds no record of who fetched whose keys
+    const allowed = await consumeQuota(`prekey_fetch:requester:${req.account_id}`, FETCHES_PER_REQUESTER, 3600);
+    if (!allowed) return res.status(429).json({ error: 'rate_limit_exceeded' });
+
+    const preservePool = !(await consumeQuota(`prekey_fetch:target:${account_id}`, FETCHES_PER_TARGET, 3600));
+
     // Fetch identity key
     const accountResult = await query(
-      'SELECT public_key, registration_id FROM accounts WHERE id = $1',
+      'SELECT public_key, key_log_index FROM accounts WHERE id = $1',
       [account_id]
     );
     if (accountResult.rows.length === 0) {
       return res.status(404).json({ error: 'account_not_found' });
     }
 
-    const { public_key, registration_id } = accountResult.rows[0];
+    const { public_key, key_log_index } = accountResult.rows[0];
 
-    // Fetch signed prekey
+    // Fetch every device with its signed prekey
     const spkResult = await query(
-      'SELECT key_id, public_key, signature FROM signed_prekeys WHERE account_id = $1',
+      `SELECT d.device_id, d.registration_id, s.key_id, s.public_key, s.signature
+       FROM devices d
+       JOIN signed_prekeys s ON s.account_id = d.account_id AND s.device_id = d.device_id
+                            AND s.expires_at IS NULL
+       WHERE d.account_id = $1
+       ORDER BY d.device_id ASC`,
       [account_id]
     );
     if (spkResult.rows.length === 0) {
       return res.status(404).json({ error: 'no_signed_prekey' });
     }
 
-    // Fetch and consume one one-time prekey (if available)
-    const otpkResult = await query(
-      `DELETE FROM one_time_prekeys
-       WHERE id = (
-           SELECT id FROM one_time_prekeys
-           WHERE account_id = $1
-           ORDER BY id ASC
-           LIMIT 1
-           FOR UPDATE SKIP LOCKED
-       )
-       RETURNING key_id, public_key`,
+    const lastResortResult = await query(
+      'SELECT device_id, key_id, public_key, signature FROM last_resort_prekeys WHERE account_id = $1',
       [account_id]
     );
+    const lastResort = new Map(lastResortResult.rows.map(row => [row.device_id, row]));
+
+    const bundles = [];
+    for (const spk of spkResult.rows) {
+      // Fetch and consume one one-time prekey (if available and not being drained)
+      const otpkResult = preservePool ? { rows: [] } : await query(
+        `DELETE FROM one_time_prekeys
+         WHERE id = (
+             SELECT id FROM one_time_prekeys
+             WHERE account_id = $1 AND device_id = $2
+             ORDER BY id ASC
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING key_id, public_key`,
+        [account_id, spk.device_id]
+      );
+      const otpk = otpkResult.rows[0] || null;
 
-    const spk  = spkResult.rows[0];
-    const otpk = otpkResult.rows[0] || null;
+      // Check if prekey pool is running low — signal client to upload more
+      const countResult = await query(
+        'SELECT COUNT(*) as count FROM one_time_prekeys WHERE account_id = $1 AND device_id = $2',
+        [account_id, spk.device_id]
+      );
+      const remainingPrekeys = parseInt(countResult.rows[0].count, 10);
+
+      if (remainingPrekeys < PREKEY_REFILL_THRESHOLD) {
+        await notifyPrekeysLow(account_id, spk.device_id, remainingPrekeys);
+      }
+
+      const fallback = otpk ? null : lastResort.get(spk.device_id);
+
+      bundles.push({
+        device_id:       spk.device_id,
+        registration_id: spk.registration_id,
+        signed_prekey: {
+          key_id:    spk.key_id,
+          public_key: spk.public_key.toString('hex'),
+          signature:  spk.signature.toString('hex'),
+        },
+        one_time_prekey: otpk ? {
+          key_id:    otpk.key_id,
+          public_key: otpk.public_key.toString('hex'),
+        } : null,
+        last_resort_prekey: fallback ? {
+          key_id:     fallback.key_id,
+          public_key: fallback.public_key.toString('hex'),
+          signature:  fallback.signature.toString('hex'),
+        } : null,
+        prekey_count: remainingPrekeys,
+        needs_prekey_refresh: remainingPrekeys < PREKEY_REFILL_THRESHOLD,
+      });
+    }
 
-    const bundle = {
-      registration_id,
-      identity_key: public_key.toString('hex'),
-      signed_prekey: {
-        key_id:    spk.key_id,
-        public_key: spk.public_key.toString('hex'),
-        signature:  spk.signature.toString('hex'),
-      },
-      one_time_prekey: otpk ? {
-        key_id:    otpk.key_id,
-        public_key: otpk.public_key.toString('hex'),
-      } : null,
-    };
-
-    // Check if prekey pool is running low — signal client to upload more
-    const countResult = await query(
-      'SELECT COUNT(*) as count FROM one_time_prekeys WHERE account_id = $1',
-      [account_id]
-    );
-    const remainingPrekeys = parseInt(countResult.rows[0].count, 10);
+    let transparency = null;
+    if (key_log_index !== null) {
+      const leafIndex = Number(key_log_index);
+      const head = await signedTreeHead();
+      transparency = {
+        leaf_index: leafIndex,
+        ...head,
+        audit_path: await inclusionProof(leafIndex, head.tree_size),
+      };
+    }
 
     return res.json({
-      bundle,
-      prekey_count: remainingPrekeys,
-      needs_prekey_refresh: remainingPrekeys < (process.env.PREKEY_REFILL_THRESHOLD || 10),
+      identity_key: public_key.toString('hex'),
+      bundles,
+      transparency,
     });
 
   } catch (err) {
@@ -93,39 +223,56 @@ router.get('/:account_id', requireAuth, async (req, res) => {
   }
 });
 
+// ─── GET /api/v1/keys/:account_id/fingerprint ────────────────────────────────
+// The account's current identity key and its fingerprint, computed the same
+// way for every client. The safety number of two accounts is both displayable
+// fingerprints, the numerically smaller first. No prekey is consumed.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.get('/:account_id/fingerprint', requireAuth, validate(accountParamSchema), async (req, res) => {
+  try {
+    const { account_id } = req.params;
+
+    const result = await query('SELECT public_key FROM accounts WHERE id = $1', [account_id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'account_not_found' });
+    }
+
+    const { public_key } = result.rows[0];
+    return res.json({
+      account_id,
+      identity_key: public_key.toString('hex'),
+      fingerprint:  fingerprint(account_id, public_key),
+    });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[keys/fingerprint]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
 // ─── PUT /api/v1/keys/prekeys ─────────────────────────────────────────────────
-// Upload a batch of new one-time prekeys.
+// Upload a batch of new one-time prekeys for the authenticated device.
 // Called when client is running low.
 // Body: { one_time_prekeys: [{ key_id, public_key }] }
 // ─────────────────────────────────────────────────────────────────────────────
 
-router.put('/prekeys', requireAuth, async (req, res) => {
+router.put('/prekeys', requireAuth, validate(prekeyUploadSchema), async (req, res) => {
   try {
     const accountId = req.account_id;
+    const deviceId  = req.device_id;
     const { one_time_prekeys } = req.body;
 
-    if (!Array.isArray(one_time_prekeys) || one_time_prekeys.length === 0) {
-      return res.status(400).json({ error: 'missing_prekeys' });
-    }
-
-    if (one_time_prekeys.length > 200) {
-      return res.status(400).json({ error: 'too_many_prekeys' });
-    }
-
-    for (const key of one_time_prekeys) {
-      await query(
-        `INSERT INTO one_time_prekeys (account_id, key_id, public_key)
-         VALUES ($1, $2, $3)
-         ON CONFLICT (account_id, key_id) DO NOTHING`,
-        [accountId, key.key_id, Buffer.from(key.public_key, 'hex')]
-      );
-    }
+    await insertOneTimePrekeys({ query }, accountId, deviceId, one_time_prekeys, { skipDuplicates: true });
 
     const countResult = await query(
-      'SELECT COUNT(*) as count FROM one_time_prekeys WHERE account_id = $1',
-      [accountId]
+      'SELECT COUNT(*) as count FROM one_time_prekeys WHERE account_id = $1 AND device_id = $2',
+      [accountId, deviceId]
     );
 
+    // Re-arm the prekeys_low notice for the next time the pool runs down
+    await cache.redis.del(`prekeys_low:${accountId}:${deviceId}`).catch(() => {});
+
     return res.json({
       uploaded: one_time_prekeys.length,
       total:    parseInt(countResult.rows[0].count, 10),
@@ -138,48 +285,232 @@ router.put('/prekeys', requireAuth, async (req, res) => {
 });
 
 // ─── PUT /api/v1/keys/signed ──────────────────────────────────────────────────
-// Rotate the signed prekey.
+// Rotate the authenticated device's signed prekey.
+// The previous key stays on record for SIGNED_PREKEY_GRACE_HOURS but is no
+// longer served. A key_id the server still holds cannot be reused (409).
 // Body: { key_id, public_key, signature }
 // ─────────────────────────────────────────────────────────────────────────────
 
-router.put('/signed', requireAuth, async (req, res) => {
+router.put('/signed', requireAuth, validate(signedKeySchema), async (req, res) => {
   try {
     await sodium.ready;
 
     const accountId = req.account_id;
     const { key_id, public_key, signature } = req.body;
 
-    if (!key_id || !public_key || !signature) {
-      return res.status(400).json({ error: 'missing_fields' });
-    }
-
     // Verify signature
-    const accountResult = await query(
-      'SELECT public_key FROM accounts WHERE id = $1',
-      [accountId]
-    );
-    const identityKey = accountResult.rows[0].public_key;
-    const spkBytes    = Buffer.from(public_key, 'hex');
-    const sigBytes    = Buffer.from(signature, 'hex');
+    const spkBytes = Buffer.from(public_key, 'hex');
+    const sigBytes = Buffer.from(signature, 'hex');
 
-    const valid = sodium.crypto_sign_verify_detached(sigBytes, spkBytes, identityKey);
+    const valid = await verifyPrekeySignature(accountId, spkBytes, sigBytes);
     if (!valid) return res.status(400).json({ error: 'invalid_signature' });
 
-    // Replace signed prekey
+    // Retire the current key, then insert the new one. Aggregating over
+    // `retired` makes the insert wait until the old key has been retired.
     await query(
-      `INSERT INTO signed_prekeys (account_id, key_id, public_key, signature)
-       VALUES ($1, $2, $3, $4)
-       ON CONFLICT (account_id)
-       DO UPDATE SET key_id = $2, public_key = $3, signature = $4, created_at = NOW()`,
-      [accountId, key_id, spkBytes, sigBytes]
+      `WITH retired AS (
+         UPDATE signed_prekeys
+         SET expires_at = NOW() + make_interval(hours => $6)
+         WHERE account_id = $1 AND device_id = $2 AND expires_at IS NULL
+         RETURNING id
+       )
+       INSERT INTO signed_prekeys (account_id, device_id, key_id, public_key, signature)
+       SELECT $1, $2, $3, $4, $5
+       FROM (SELECT COUNT(*) FROM retired) r`,
+      [accountId, req.device_id, key_id, spkBytes, sigBytes, SPK_GRACE_HOURS]
     );
 
     return res.json({ updated: true });
 
   } catch (err) {
+    if (err.code === '23505') {
+      // idx_spk_current: a concurrent rotation won the race
+      const error = err.constraint === 'idx_spk_current' ? 'rotation_in_progress' : 'signed_prekey_id_reused';
+      return res.status(409).json({ error });
+    }
     if (process.env.LOG_LEVEL !== 'none') console.error('[keys/signed]', err.message);
     return res.status(500).json({ error: 'internal_error' });
   }
 });
 
+// ─── PUT /api/v1/keys/last-resort ─────────────────────────────────────────────
+// Set the authenticated device's last-resort prekey, signed by the identity key.
+// Body: { key_id, public_key, signature }
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.put('/last-resort', requireAuth, validate(signedKeySchema), async (req, res) => {
+  try {
+    await sodium.ready;
+
+    const accountId = req.account_id;
+    const { key_id, public_key, signature } = req.body;
+
+    const keyBytes = Buffer.from(public_key, 'hex');
+    const sigBytes = Buffer.from(signature, 'hex');
+
+    const valid = await verifyPrekeySignature(accountId, keyBytes, sigBytes);
+    if (!valid) return res.status(400).json({ error: 'invalid_signature' });
+
+    await query(
+      `INSERT INTO last_resort_prekeys (account_id, device_id, key_id, public_key, signature)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (account_id, device_id)
+       DO UPDATE SET key_id = $3, public_key = $4, signature = $5, created_at = NOW()`,
+      [accountId, req.device_id, key_id, keyBytes, sigBytes]
+    );
+
+    return res.json({ updated: true });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[keys/last-resort]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── GET /api/v1/keys/signed/status ──────────────────────────────────────────
+// Age of the authenticated device's signed prekey, so the client knows when
+// to rotate, plus the rotated-out keys still within their grace period.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.get('/signed/status', requireAuth, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT key_id, expires_at,
+              EXTRACT(EPOCH FROM NOW() - created_at)::BIGINT AS age,
+              EXTRACT(EPOCH FROM expires_at - NOW())::BIGINT AS expires_in
+       FROM signed_prekeys
+       WHERE account_id = $1 AND device_id = $2
+         AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY created_at DESC`,
+      [req.account_id, req.device_id]
+    );
+
+    const current = result.rows.find(row => row.expires_at === null);
+    if (!current) return res.status(404).json({ error: 'no_signed_prekey' });
+
+    const age = Number(current.age);
+
+    return res.json({
+      key_id:         current.key_id,
+      age_seconds:    age,
+      needs_rotation: age > SPK_MAX_AGE_DAYS * 24 * 60 * 60,
+      previous: result.rows
+        .filter(row => row.expires_at !== null)
+        .map(row => ({ key_id: row.key_id, expires_in_seconds: Number(row.expires_in) })),
+    });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[keys/signed-status]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── PUT /api/v1/keys/delivery ────────────────────────────────────────────────
+// Publish (or rotate) the delivery-access key for sealed sender.
+// The key is derived client-side and shared only with contacts; the server
+// keeps its SHA-256 so a database dump cannot be used to send.
+// Body: { delivery_key: hex }
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.put('/delivery', requireAuth, validate(deliveryKeySchema), async (req, res) => {
+  try {
+    const accountId = req.account_id;
+    const keyBytes = Buffer.from(req.body.delivery_key, 'hex');
+
+    await query(
+      'UPDATE accounts SET delivery_key_hash = $2 WHERE id = $1',
+      [accountId, hashDeliveryKey(keyBytes)]
+    );
+
+    return res.json({ updated: true });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[keys/delivery]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── DELETE /api/v1/keys/delivery ─────────────────────────────────────────────
+// Revoke the delivery-access key: every sealed send to the account is refused
+// until a new key is published with PUT. Identified sends are unaffected; turn
+// them off with PUT /delivery/policy.
+// Use PUT instead to rotate, then share the new key with trusted contacts only.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.delete('/delivery', requireAuth, async (req, res) => {
+  try {
+    await query(
+      'UPDATE accounts SET delivery_key_hash = NULL WHERE id = $1',
+      [req.account_id]
+    );
+
+    return res.json({ revoked: true });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[keys/delivery-revoke]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── PUT /api/v1/keys/delivery/policy ─────────────────────────────────────────
+// Choose whether other accounts may send identified (Bearer token) messages.
+// With accept_unsealed false only holders of the delivery key can reach the
+// account, so revoking or rotating the key stops every sender.
+// Body: { accept_unsealed: boolean }
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.put('/delivery/policy', requireAuth, validate(deliveryPolicySchema), async (req, res) => {
+  try {
+    await query(
+      'UPDATE accounts SET accept_unsealed = $2 WHERE id = $1',
+      [req.account_id, req.body.accept_unsealed]
+    );
+
+    return res.json({ accept_unsealed: req.body.accept_unsealed });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[keys/delivery-policy]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── GET /api/v1/keys/transparency/head ───────────────────────────────────────
+// Current signed tree head of the key log, with the Ed25519 key that signs it.
+// Clients should pin `public_key` rather than trust it from this response.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.get('/transparency/head', requireAuth, async (req, res) => {
+  try {
+    const head = await signedTreeHead();
+    return res.json({ ...head, public_key: await signingPublicKey() });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[keys/transparency-head]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// ─── GET /api/v1/keys/transparency/consistency ────────────────────────────────
+// Query: ?from=<tree size>&to=<tree size, default current>
+// Proof that the log at `to` leaves extends the log at `from` leaves, so a
+// client can check every head it sees against the last one it kept.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.get('/transparency/consistency', requireAuth, validate(consistencySchema), async (req, res) => {
+  try {
+    const size = await treeSize();
+    const { from } = req.query;
+    const to = req.query.to === undefined ? size : req.query.to;
+    if (from > to || to > size) {
+      return res.status(400).json({ error: 'invalid_tree_size' });
+    }
+
+    return res.json({ from, to, proof: await consistencyProof(from, to) });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[keys/transparency-consistency]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
 module.exports = router;
@@ -11,56 +11,138 @@
 const express = require('express');
 const { query } = require('../db/connection');
 const { requireAuth } = require('../middleware/auth');
+const { requireSenderAccess } = require('../middleware/deliveryAccess');
+const { sealedSendLimiter, deliveryKeyFailureLimiter, consumeInboundQuota } = require('../middleware/rateLimit');
 const { broadcastToAccount } = require('../websocket/relay');
+const { listDevices, diffDevices, deviceMismatchResponse } = require('../db/devices');
+const { validate, types } = require('../middleware/validate');
+const {
+  MESSAGE_TYPES, MIN_TTL_SECONDS, RETENTION_SECONDS, MAX_QUEUE_DEPTH, MAX_UNSEALED_QUEUE_DEPTH,
+  messageExpiry, enqueue, fullQueues, fetchQueued, acknowledge,
+} = require('../db/queue');
 
 const router = express.Router();
 
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE     = 500;
+
+const sendSchema = {
+  body: {
+    recipient_id: types.uuid,
+    messages: {
+      type: 'map',
+      min: 1,
+      key: types.deviceId,
+      values: {
+        type: 'object',
+        fields: {
+          registration_id: types.registrationId,
+          ciphertext:      types.ciphertext,
+          message_type:    { type: 'int', min: 1, max: 4, optional: true },
+        },
+      },
+    },
+    ttl: { type: 'int', min: MIN_TTL_SECONDS, max: RETENTION_SECONDS, optional: true },
+  },
+};
+const receiveSchema = {
+  query: {
+    after: { type: 'int', min: 0, optional: true },
+    limit: { type: 'int', min: 1, max: MAX_PAGE_SIZE, optional: true },
+  },
+};
+const ackSchema = {
+  body: { ids: { type: 'array', min: 1, max: MAX_PAGE_SIZE, items: types.uuid } },
+};
+
+// Wrong delivery keys are counted before the check; the recipient's sealed
+// send budget only once a key has been accepted
+const senderAccess = [deliveryKeyFailureLimiter, requireSenderAccess, sealedSendLimiter];
+
 // ─── POST /api/v1/messages/send ──────────────────────────────────────────────
-// Deliver an encrypted message blob to a recipient's queue.
-// Body: { recipient_id: uuid, ciphertext: hex, message_type: number }
-// The sender identity is NOT stored — sealed sender architecture.
+// Deliver one encrypted blob to each of a recipient's devices.
+// Body: {
+//   recipient_id: uuid,
+//   messages: { [device_id]: { registration_id: number, ciphertext: hex, message_type?: number } },
+//   ttl?: seconds (MIN_TTL_SECONDS..MESSAGE_TTL_DAYS) — disappearing messages
+// }
+// The expiry is rounded to a coarse bucket so it does not reveal the send time.
+// The device map must match the recipient's current devices exactly (409/410 otherwise).
+// 429 queue_full when a device already holds MAX_QUEUE_DEPTH messages
+// (MAX_UNSEALED_QUEUE_DEPTH for identified sends);
+// 429 recipient_rate_limited once the recipient's inbound quota is spent.
+// Sealed: X-Delivery-Key header with the recipient's delivery-access key, no
+// session token — the server never learns the sender. Identified sends
+// (Bearer token) remain for first contact, within a per-sender budget, and get
+// 403 unsealed_sends_refused if the recipient turned them off.
+// The sender is NOT stored either way.
 // ─────────────────────────────────────────────────────────────────────────────
 
-router.post('/send', requireAuth, async (req, res) => {
+router.post('/send', validate(sendSchema), senderAccess, async (req, res) => {
   try {
-    const { recipient_id, ciphertext, message_type = 1 } = req.body;
+    const { recipient_id, messages, ttl } = req.body;
 
-    if (!recipient_id || !ciphertext) {
-      return res.status(400).json({ error: 'missing_fields' });
+    if (ttl !== undefined && process.env.ENABLE_DISAPPEARING_MESSAGES === 'false') {
+      return res.status(403).json({ error: 'disappearing_messages_disabled' });
     }
 
-    // Validate ciphertext size (max 256KB per message)
-    const ciphertextBytes = Buffer.from(ciphertext, 'hex');
-    if (ciphertextBytes.length > 262144) {
-      return res.status(413).json({ error: 'message_too_large' });
+    const rows            = [];
+    const registrationIds = {};
+    for (const [deviceId, message] of Object.entries(messages)) {
+      // Validate ciphertext size (max 256KB per message)
+      const ciphertextBytes = Buffer.from(message.ciphertext, 'hex');
+      if (ciphertextBytes.length > 262144) {
+        return res.status(413).json({ error: 'message_too_large' });
+      }
+
+      registrationIds[deviceId] = message.registration_id;
+      rows.push({
+        recipientId: recipient_id,
+        deviceId:    Number(deviceId),
+        ciphertext:  ciphertextBytes,
+        messageType: message.message_type || MESSAGE_TYPES.PREKEY,
+      });
     }
 
-    // Verify recipient exists
-    const recipient = await query(
-      'SELECT id FROM accounts WHERE id = $1',
-      [recipient_id]
-    );
-    if (recipient.rows.length === 0) {
+    // Verify recipient exists and the sender's device list is current
+    const devices = await listDevices(recipient_id);
+    if (devices.length === 0) {
       return res.status(404).json({ error: 'recipient_not_found' });
     }
 
-    // Store encrypted blob — no sender, no plaintext timestamp
-    const result = await query(
-      `INSERT INTO message_queue (recipient_id, ciphertext, message_type)
-       VALUES ($1, $2, $3)
-       RETURNING id`,
-      [recipient_id, ciphertextBytes, message_type]
-    );
+    const diff = diffDevices(devices, registrationIds);
+    if (diff) {
+      const mismatch = deviceMismatchResponse(diff);
+      return res.status(mismatch.status).json(mismatch.body);
+    }
 
-    const messageId = result.rows[0].id;
+    // Senders are unknown, so floods are bounded per recipient instead.
+    // Identified sends from other accounts only reach part of the queue.
+    const senderId = req.sealed ? undefined : req.account_id;
+    const depth    = senderId && senderId !== recipient_id ? MAX_UNSEALED_QUEUE_DEPTH : MAX_QUEUE_DEPTH;
+    if ((await fullQueues(rows, depth)).length > 0) {
+      return res.status(429).json({ error: 'queue_full' });
+    }
+    if (!await consumeInboundQuota([recipient_id], senderId)) {
+      return res.status(429).json({ error: 'recipient_rate_limited' });
+    }
+
+    // Store encrypted blobs — no sender, no plaintext timestamp.
+    // Every device gets the message or none does.
+    const queued = await enqueue(rows, messageExpiry(ttl));
 
-    // Attempt real-time delivery via WebSocket
-    broadcastToAccount(recipient_id, {
-      type: 'new_message',
-      message_id: messageId,
-    });
+    const messageIds = {};
+    for (const row of queued) {
+      messageIds[row.device_id] = row.id;
 
-    return res.status(201).json({ message_id: messageId });
+      // Attempt real-time delivery via WebSocket
+      broadcastToAccount(recipient_id, {
+        type: 'new_message',
+        message_id: row.id,
+      }, row.device_id);
+    }
+
+    return res.status(201).json({ message_ids: messageIds });
 
   } catch (err) {
     if (process.env.LOG_LEVEL !== 'none') console.error('[messages/send]', err.message);
@@ -69,31 +151,30 @@ router.post('/send', requireAuth, async (req, res) => {
 });
 
 // ─── GET /api/v1/messages/receive ────────────────────────────────────────────
-// Fetch pending messages for the authenticated account.
+// Fetch pending messages for the authenticated device, oldest first.
+// Query: ?after=<seq> (default 0) &limit=<1..500> (default 100)
+// Pass the last `seq` received as `after` to fetch the next page.
 // Returns encrypted blobs. Client decrypts locally.
 // ─────────────────────────────────────────────────────────────────────────────
 
-router.get('/receive', requireAuth, async (req, res) => {
+router.get('/receive', requireAuth, validate(receiveSchema), async (req, res) => {
   try {
-    const accountId = req.account_id;
+    const after = req.query.after === undefined ? 0 : req.query.after;
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : req.query.limit;
 
-    const result = await query(
-      `SELECT id, ciphertext, message_type
-       FROM message_queue
-       WHERE recipient_id = $1
-       ORDER BY id ASC
-       LIMIT 100`,
-      [accountId]
-    );
+    // One extra row tells whether another page follows
+    const rows = await fetchQueued(req.account_id, req.device_id, { after, limit: limit + 1 });
+    const page = rows.slice(0, limit);
 
-    const messages = result.rows.map(row => ({
+    const messages = page.map(row => ({
       id:           row.id,
+      seq:          Number(row.seq),
       ciphertext:   row.ciphertext.toString('hex'),
       message_type: row.message_type,
       // No sender_id, no timestamp returned
     }));
 
-    return res.json({ messages });
+    return res.json({ messages, more: rows.length > limit });
 
   } catch (err) {
     if (process.env.LOG_LEVEL !== 'none') console.error('[messages/receive]', err.message);
@@ -101,21 +182,39 @@ router.get('/receive', requireAuth, async (req, res) => {
   }
 });
 
+// ─── POST /api/v1/messages/ack ───────────────────────────────────────────────
+// Delete a batch of received messages in one statement.
+// Body: { ids: [uuid, ...] } (at most 500)
+// IDs that are unknown or already deleted are ignored.
+// ─────────────────────────────────────────────────────────────────────────────
+
+router.post('/ack', requireAuth, validate(ackSchema), async (req, res) => {
+  try {
+    const deleted = await acknowledge(req.account_id, req.device_id, req.body.ids);
+
+    return res.json({ deleted: deleted.length });
+
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[messages/ack]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+});
+
 // ─── DELETE /api/v1/messages/:id ─────────────────────────────────────────────
 // Delete a message from the queue after client has received and decrypted it.
 // ─────────────────────────────────────────────────────────────────────────────
 
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, validate({ params: { id: types.uuid } }), async (req, res) => {
   try {
     const { id } = req.params;
     const accountId = req.account_id;
 
-    // Only delete messages belonging to authenticated account
+    // Only delete messages belonging to authenticated device
     const result = await query(
       `DELETE FROM message_queue
-       WHERE id = $1 AND recipient_id = $2
+       WHERE id = $1 AND recipient_id = $2 AND device_id = $3
        RETURNING id`,
-      [id, accountId]
+      [id, accountId, req.device_id]
     );
 
     if (result.rows.length === 0) {
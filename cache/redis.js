@@ -7,6 +7,7 @@
 const Redis = require('ioredis');
 
 let redis;
+let subscriber;
 
 async function connectRedis() {
   redis = new Redis({
@@ -19,9 +20,17 @@ async function connectRedis() {
 
   await redis.connect();
 
+  // A subscribed connection cannot issue other commands, so pub/sub gets its own
+  subscriber = redis.duplicate();
+  await subscriber.connect();
+
   if (process.env.LOG_LEVEL !== 'none') {
     console.log('[redis] Connected');
   }
 }
 
-module.exports = { connectRedis, get redis() { return redis; } };
+module.exports = {
+  connectRedis,
+  get redis() { return redis; },
+  get subscriber() { return subscriber; },
+};
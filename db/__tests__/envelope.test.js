@@ -0,0 +1,186 @@
+/**
+ * Queue envelope encryption: sealing, padding buckets and the keyring.
+ *
+ * envelope.js reads its configuration once, so each case loads a fresh copy
+ * of the module under its own environment.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const ENV_KEYS = ['QUEUE_ENCRYPTION_KEYS', 'QUEUE_ENCRYPTION_KEYS_FILE', 'QUEUE_PADDING'];
+
+const RECIPIENT = '0f8fad5b-d9cb-469f-a165-70867728950e';
+const KEY_1 = '11'.repeat(32);
+const KEY_2 = '22'.repeat(32);
+
+const IV_BYTES  = 12;
+const TAG_BYTES = 16;
+
+function loadEnvelope(env) {
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, env);
+
+  let envelope;
+  jest.isolateModules(() => {
+    envelope = require('../envelope');
+  });
+  return envelope;
+}
+
+// The queue row enqueue() would write for the first destination
+function seal(envelope, blob, destinations) {
+  const sealed = envelope.sealMessage(blob, destinations);
+  return { key_id: sealed.keyId, ciphertext: sealed.ciphertext, sealed_key: sealed.sealedKeys[0] };
+}
+
+afterAll(() => {
+  for (const key of ENV_KEYS) delete process.env[key];
+});
+
+describe('sealing', () => {
+  test.each([
+    [0,      256],
+    [255,    256],
+    [256,    512],
+    [65535,  65536],
+    [65536,  131072],
+    [262144, 327680],
+  ])('a %i-byte blob round-trips padded to %i bytes', (size, padded) => {
+    const envelope = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: `1:${KEY_1}`, QUEUE_PADDING: 'true' });
+    const blob = crypto.randomBytes(size);
+
+    const row = seal(envelope, blob, [{ recipientId: RECIPIENT, deviceId: 1 }]);
+
+    expect(row.key_id).toBe(1);
+    expect(row.ciphertext.length).toBe(IV_BYTES + padded + TAG_BYTES);
+    expect(envelope.openMessage(row, RECIPIENT, 1).equals(blob)).toBe(true);
+  });
+
+  test.each([0, 255, 256, 65535, 65536, 262144])('a %i-byte blob round-trips unpadded', (size) => {
+    const envelope = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: `1:${KEY_1}` });
+    const blob = crypto.randomBytes(size);
+
+    const row = seal(envelope, blob, [{ recipientId: RECIPIENT, deviceId: 1 }]);
+
+    expect(row.ciphertext.length).toBe(IV_BYTES + size + 1 + TAG_BYTES);
+    expect(envelope.openMessage(row, RECIPIENT, 1).equals(blob)).toBe(true);
+  });
+
+  test('a blob ending in the padding marker and zeros survives unpadding', () => {
+    const envelope = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: `1:${KEY_1}`, QUEUE_PADDING: 'true' });
+    const blob = Buffer.from([0x01, 0x80, 0x00, 0x00]);
+
+    const row = seal(envelope, blob, [{ recipientId: RECIPIENT, deviceId: 1 }]);
+
+    expect(envelope.openMessage(row, RECIPIENT, 1).equals(blob)).toBe(true);
+  });
+
+  test('a row sealed for device 1 does not open as device 2', () => {
+    const envelope = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: `1:${KEY_1}` });
+
+    const row = seal(envelope, Buffer.from('hello'), [{ recipientId: RECIPIENT, deviceId: 1 }]);
+
+    expect(() => envelope.openMessage(row, RECIPIENT, 2)).toThrow();
+    expect(() => envelope.openMessage(row, crypto.randomUUID(), 1)).toThrow();
+  });
+
+  test('a fan-out shares one ciphertext with a sealed key per destination', () => {
+    const envelope = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: `1:${KEY_1}` });
+    const other = crypto.randomUUID();
+    const blob = Buffer.from('group message');
+
+    const sealed = envelope.sealMessage(blob, [
+      { recipientId: RECIPIENT, deviceId: 1 },
+      { recipientId: other, deviceId: 3 },
+    ]);
+    const row = (sealedKey) => ({ key_id: sealed.keyId, ciphertext: sealed.ciphertext, sealed_key: sealedKey });
+
+    expect(envelope.openMessage(row(sealed.sealedKeys[0]), RECIPIENT, 1).equals(blob)).toBe(true);
+    expect(envelope.openMessage(row(sealed.sealedKeys[1]), other, 3).equals(blob)).toBe(true);
+    expect(() => envelope.openMessage(row(sealed.sealedKeys[0]), other, 3)).toThrow();
+  });
+
+  test('without a keyring rows are stored and read as they are, padding or not', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const envelope = loadEnvelope({ QUEUE_PADDING: 'true' });
+    const blob = Buffer.from('plain');
+
+    try {
+      expect(envelope.loadKeyring()).toBeNull();
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('QUEUE_PADDING has no effect'));
+      expect(envelope.sealMessage(blob, [{ recipientId: RECIPIENT, deviceId: 1 }])).toBeNull();
+      expect(envelope.openMessage({ key_id: null, ciphertext: blob, sealed_key: null }, RECIPIENT, 1)).toBe(blob);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe('keyring rotation', () => {
+  test('rows sealed under a retired key still open once a new key is first', () => {
+    const before = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: `1:${KEY_1}` });
+    const oldRow = seal(before, Buffer.from('old'), [{ recipientId: RECIPIENT, deviceId: 1 }]);
+
+    const after = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: `2:${KEY_2},1:${KEY_1}` });
+    const newRow = seal(after, Buffer.from('new'), [{ recipientId: RECIPIENT, deviceId: 1 }]);
+
+    expect(newRow.key_id).toBe(2);
+    expect(after.openMessage(oldRow, RECIPIENT, 1).toString()).toBe('old');
+    expect(after.openMessage(newRow, RECIPIENT, 1).toString()).toBe('new');
+  });
+
+  test('rows sealed under a key that was removed cannot be read', () => {
+    const before = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: `1:${KEY_1}` });
+    const row = seal(before, Buffer.from('old'), [{ recipientId: RECIPIENT, deviceId: 1 }]);
+
+    const after = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: `2:${KEY_2}` });
+
+    expect(() => after.openMessage(row, RECIPIENT, 1)).toThrow('Queue key 1 is not configured');
+  });
+
+  test('a keyring file may hold one key per line with comments', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'benxi-keys-')), 'keys');
+    fs.writeFileSync(file, `# current\n2:${KEY_2}\n\n1:${KEY_1}  # retired\n`);
+    try {
+      const envelope = loadEnvelope({ QUEUE_ENCRYPTION_KEYS_FILE: file });
+      const ring = envelope.loadKeyring();
+
+      expect(ring.currentId).toBe(2);
+      expect([...ring.keys.keys()]).toEqual([2, 1]);
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
+
+describe('malformed keyrings', () => {
+  test.each([
+    ['a key without an ID',     KEY_1],
+    ['a short key',             `1:${'11'.repeat(31)}`],
+    ['a non-hex key',           `1:${'zz'.repeat(32)}`],
+    ['key ID 0',                `0:${KEY_1}`],
+    ['a key ID above 32767',    `32768:${KEY_1}`],
+    ['a negative key ID',       `-1:${KEY_1}`],
+  ])('%s is rejected', (label, keys) => {
+    const envelope = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: keys });
+    expect(() => envelope.loadKeyring()).toThrow('Queue keys must be');
+  });
+
+  test('a duplicate key ID is rejected', () => {
+    const envelope = loadEnvelope({ QUEUE_ENCRYPTION_KEYS: `1:${KEY_1},1:${KEY_2}` });
+    expect(() => envelope.loadKeyring()).toThrow('Duplicate queue key ID 1');
+  });
+
+  test('setting both the keys and a key file is rejected', () => {
+    const envelope = loadEnvelope({
+      QUEUE_ENCRYPTION_KEYS:      `1:${KEY_1}`,
+      QUEUE_ENCRYPTION_KEYS_FILE: '/nonexistent',
+    });
+    expect(() => envelope.loadKeyring()).toThrow('not both');
+  });
+});
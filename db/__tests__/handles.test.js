@@ -0,0 +1,73 @@
+/**
+ * Handle hashing against fixed scrypt vectors, and the HANDLE_SALT check.
+ *
+ * handles.js caches the salt once loaded, so each case loads a fresh copy of
+ * the module under its own environment. The vectors were computed
+ * independently of this code.
+ */
+
+'use strict';
+
+const ENV_KEYS = ['HANDLE_SALT', 'NODE_ENV', 'LOG_LEVEL'];
+const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+const SALT = '0123456789abcdef'.repeat(4);
+
+function loadHandles(env) {
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, { LOG_LEVEL: 'none' }, env);
+
+  let handles;
+  jest.isolateModules(() => {
+    handles = require('../handles');
+  });
+  return handles;
+}
+
+afterAll(() => {
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+});
+
+describe('hashHandle', () => {
+  test.each([
+    ['alice',     SALT,           'fee3ad74a19ff542003bb7ed6094988928b9be8f34324022c5ce238fc062a8aa'],
+    ['alice.b_2', SALT,           '6c1ca412e7165f23c04b946c78f8faeee649047b85db792a2c969181fbc9d378'],
+    ['alice',     'f'.repeat(64), 'f16c38facec667f837e3c745ed68fe7f4c4c8e72a25d829a34cfaad6016dee4f'],
+  ])('%s under salt %s matches its fixed vector', async (handle, salt, expected) => {
+    const { hashHandle } = loadHandles({ HANDLE_SALT: salt });
+    expect((await hashHandle(handle)).toString('hex')).toBe(expected);
+  });
+
+  test('handles are case-insensitive', async () => {
+    const { hashHandle } = loadHandles({ HANDLE_SALT: SALT });
+    expect((await hashHandle('Alice')).equals(await hashHandle('alice'))).toBe(true);
+  });
+});
+
+describe('loadHandleSalt', () => {
+  test.each([
+    ['unset',                        undefined],
+    ['the .env.example placeholder', 'CHANGE_THIS_TO_A_32_BYTE_RANDOM_HEX_STRING'],
+    ['31 bytes',                     'ab'.repeat(31)],
+    ['non-hex',                      'zz'.repeat(32)],
+  ])('a production server refuses a salt that is %s', (label, salt) => {
+    const env = { NODE_ENV: 'production' };
+    if (salt !== undefined) env.HANDLE_SALT = salt;
+    const { loadHandleSalt } = loadHandles(env);
+
+    expect(() => loadHandleSalt()).toThrow('HANDLE_SALT must be 32 bytes of hex');
+  });
+
+  test('a production server accepts 32 bytes of hex', () => {
+    const { loadHandleSalt } = loadHandles({ NODE_ENV: 'production', HANDLE_SALT: SALT });
+    expect(loadHandleSalt()).toBe(SALT);
+  });
+
+  test('development falls back to a temporary salt', () => {
+    const { loadHandleSalt } = loadHandles({ HANDLE_SALT: 'placeholder' });
+    expect(loadHandleSalt()).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
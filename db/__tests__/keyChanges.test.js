@@ -0,0 +1,47 @@
+/**
+ * Safety-number fingerprints and key change hashes against fixed vectors.
+ *
+ * The vectors were computed independently of this code from the definitions
+ * in db/keyChanges.js, so a change to the encoding fails here before clients
+ * start showing users different safety numbers.
+ */
+
+'use strict';
+
+jest.mock('../connection', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+
+const { accountHash, fingerprint } = require('../keyChanges');
+
+const ACCOUNT = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+describe('fingerprint', () => {
+  test.each([
+    [
+      ACCOUNT,
+      Buffer.from([...Array(32).keys()]),
+      '118719763219543641898658521727',
+      'bdb2cd351f556c0528e07aae475137d1e3750dfd653604e219e8d2af613f2e1b',
+    ],
+    [
+      '00000000-0000-0000-0000-000000000000',
+      Buffer.alloc(32),
+      '082663698805557488914606783031',
+      '87c06c4dea4f74f9b01ca576af53b59c3ad8401bdc97d3cff31e32a044b71710',
+    ],
+  ])('account %s matches its fixed vector', (accountId, publicKey, displayable, scannable) => {
+    expect(fingerprint(accountId, publicKey)).toEqual({ version: 0, displayable, scannable });
+  });
+
+  test('the same key gives another account a different fingerprint', () => {
+    const publicKey = Buffer.from([...Array(32).keys()]);
+    expect(fingerprint('0f8fad5b-d9cb-469f-a165-70867728950f', publicKey).displayable)
+      .toBe('541228916240901409944703752920');
+  });
+});
+
+describe('accountHash', () => {
+  test('hashes the context and the 16 account ID bytes', () => {
+    expect(accountHash(ACCOUNT).toString('hex'))
+      .toBe('68ae30239e090637fd8cc2a734f6b61bccbff96592efe7ac9f537800ce1c8e24');
+  });
+});
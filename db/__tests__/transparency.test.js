@@ -0,0 +1,238 @@
+/**
+ * Key transparency log against an RFC 6962 reference.
+ *
+ * key_log_nodes lives in memory behind a stubbed `query`. Roots and proofs
+ * for every tree size up to MAX_SIZE are compared with the reference
+ * definitions (RFC 6962 §2.1) and checked with the client-side verification
+ * algorithms (RFC 9162 §2.1.3.2 and §2.1.4.2).
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const sodium = require('libsodium-wrappers');
+
+const MAX_SIZE = 70;
+
+// ─── In-memory key_log_nodes ──────────────────────────────────────────────────
+
+const nodes = new Map();   // "level:idx" -> hash
+
+function fakeQuery(sql, params = []) {
+  if (sql.includes('pg_advisory_xact_lock') || sql.startsWith('UPDATE accounts')) {
+    return { rows: [] };
+  }
+  if (sql.includes('WHERE level = 0 ORDER BY idx DESC')) {
+    const leaves = [...nodes.keys()].filter(key => key.startsWith('0:')).map(key => Number(key.slice(2)));
+    return { rows: leaves.length === 0 ? [] : [{ idx: String(Math.max(...leaves)) }] };
+  }
+  if (sql.startsWith('INSERT INTO key_log_nodes')) {
+    const [levels, idxs, hashes] = params;
+    levels.forEach((level, i) => {
+      const key = `${level}:${idxs[i]}`;
+      if (nodes.has(key)) throw new Error(`duplicate key_log_nodes row ${key}`);
+      nodes.set(key, hashes[i]);
+    });
+    return { rows: [] };
+  }
+  if (sql.includes('FROM key_log_nodes n')) {
+    const [levels, idxs] = params;
+    const rows = levels
+      .map((level, i) => ({ level, idx: String(idxs[i]), hash: nodes.get(`${level}:${idxs[i]}`) }))
+      .filter(row => row.hash);
+    return { rows };
+  }
+  throw new Error(`unexpected query: ${sql}`);
+}
+
+jest.mock('../connection', () => ({ query: jest.fn() }));
+
+process.env.KT_SIGNING_KEY = '07'.repeat(32);
+
+const { query } = require('../connection');
+const {
+  leafHash, appendKey, treeSize, signedTreeHead, signingPublicKey, inclusionProof, consistencyProof,
+} = require('../transparency');
+
+query.mockImplementation(async (sql, params) => fakeQuery(sql, params));
+const client = { query: jest.fn(async (sql, params) => fakeQuery(sql, params)) };
+
+// ─── RFC 6962 reference ───────────────────────────────────────────────────────
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+function nodeHash(left, right) {
+  return sha256(Buffer.from([0x01]), left, right);
+}
+
+function split(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+// MTH(D[n]) over leaf hashes
+function mth(leaves) {
+  if (leaves.length === 0) return sha256(Buffer.alloc(0));
+  if (leaves.length === 1) return leaves[0];
+  const k = split(leaves.length);
+  return nodeHash(mth(leaves.slice(0, k)), mth(leaves.slice(k)));
+}
+
+// PATH(m, D[n])
+function path(m, leaves) {
+  if (leaves.length <= 1) return [];
+  const k = split(leaves.length);
+  return m < k
+    ? [...path(m, leaves.slice(0, k)), mth(leaves.slice(k))]
+    : [...path(m - k, leaves.slice(k)), mth(leaves.slice(0, k))];
+}
+
+// SUBPROOF(m, D[n], b)
+function subproof(m, leaves, complete) {
+  const n = leaves.length;
+  if (m === n) return complete ? [] : [mth(leaves)];
+  const k = split(n);
+  return m <= k
+    ? [...subproof(m, leaves.slice(0, k), complete), mth(leaves.slice(k))]
+    : [...subproof(m - k, leaves.slice(k), false), mth(leaves.slice(0, k))];
+}
+
+// ─── RFC 9162 verifiers ───────────────────────────────────────────────────────
+
+function verifyInclusion(index, size, leaf, proof, root) {
+  if (index >= size) return false;
+  let fn = index;
+  let sn = size - 1;
+  let r = leaf;
+  for (const p of proof) {
+    if (sn === 0) return false;
+    if (fn % 2 === 1 || fn === sn) {
+      r = nodeHash(p, r);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn >>= 1;
+        sn >>= 1;
+      }
+    } else {
+      r = nodeHash(r, p);
+    }
+    fn >>= 1;
+    sn >>= 1;
+  }
+  return sn === 0 && r.equals(root);
+}
+
+function verifyConsistency(first, second, firstHash, secondHash, proof) {
+  if (first === second) return proof.length === 0 && firstHash.equals(secondHash);
+  const isPowerOfTwo = (first & (first - 1)) === 0;
+  const hashes = isPowerOfTwo ? [firstHash, ...proof] : proof;
+  if (hashes.length === 0) return false;
+
+  let fn = first - 1;
+  let sn = second - 1;
+  while (fn % 2 === 1) {
+    fn >>= 1;
+    sn >>= 1;
+  }
+
+  let fr = hashes[0];
+  let sr = hashes[0];
+  for (const c of hashes.slice(1)) {
+    if (sn === 0) return false;
+    if (fn % 2 === 1 || fn === sn) {
+      fr = nodeHash(c, fr);
+      sr = nodeHash(c, sr);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn >>= 1;
+        sn >>= 1;
+      }
+    } else {
+      sr = nodeHash(sr, c);
+    }
+    fn >>= 1;
+    sn >>= 1;
+  }
+  return sn === 0 && fr.equals(firstHash) && sr.equals(secondHash);
+}
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+const hex = (buffers) => buffers.map(b => b.toString('hex'));
+const fromHex = (strings) => strings.map(s => Buffer.from(s, 'hex'));
+
+const leaves = [];
+
+beforeAll(async () => {
+  for (let i = 0; i < MAX_SIZE; i++) {
+    const accountId = crypto.randomUUID();
+    const publicKey = crypto.randomBytes(32);
+    expect(await appendKey(client, accountId, publicKey)).toBe(i);
+    leaves.push(leafHash(accountId, publicKey));
+  }
+});
+
+test('leaves are hashed with the RFC 6962 leaf prefix', () => {
+  const accountId = '0f8fad5b-d9cb-469f-a165-70867728950e';
+  const publicKey = Buffer.alloc(32, 1);
+  const expected = sha256(Buffer.from([0x00]), Buffer.from(accountId.replace(/-/g, ''), 'hex'), publicKey);
+  expect(leafHash(accountId, publicKey).equals(expected)).toBe(true);
+});
+
+test('appends point each account at its leaf and grow the tree by one', async () => {
+  const updates = client.query.mock.calls.filter(([sql]) => sql.startsWith('UPDATE accounts'));
+  expect(updates.map(([, params]) => params[1])).toEqual([...Array(MAX_SIZE).keys()]);
+  expect(await treeSize()).toBe(MAX_SIZE);
+});
+
+test('roots match MTH for every tree size and heads are signed', async () => {
+  await sodium.ready;
+  const publicKey = Buffer.from(await signingPublicKey(), 'hex');
+
+  for (let n = 1; n <= MAX_SIZE; n++) {
+    const head = await signedTreeHead(n);
+    const root = mth(leaves.slice(0, n));
+    expect(head.tree_size).toBe(n);
+    expect(head.root_hash).toBe(root.toString('hex'));
+
+    const size = Buffer.alloc(8);
+    size.writeBigUInt64BE(BigInt(n));
+    const message = Buffer.concat([Buffer.from('benxi-kt-sth-v1\0'), size, root]);
+    expect(sodium.crypto_sign_verify_detached(Buffer.from(head.signature, 'hex'), message, publicKey)).toBe(true);
+  }
+});
+
+test('inclusion proofs match PATH and verify for every leaf of every tree size', async () => {
+  for (let n = 1; n <= MAX_SIZE; n++) {
+    const root = mth(leaves.slice(0, n));
+    for (let m = 0; m < n; m++) {
+      const proof = await inclusionProof(m, n);
+      expect(proof).toEqual(hex(path(m, leaves.slice(0, n))));
+      expect(verifyInclusion(m, n, leaves[m], fromHex(proof), root)).toBe(true);
+    }
+  }
+});
+
+test('an inclusion proof does not verify for another leaf', async () => {
+  const proof = fromHex(await inclusionProof(5, MAX_SIZE));
+  expect(verifyInclusion(5, MAX_SIZE, leaves[6], proof, mth(leaves))).toBe(false);
+});
+
+test('consistency proofs match SUBPROOF and verify for every pair of tree sizes', async () => {
+  for (let n = 1; n <= MAX_SIZE; n++) {
+    const second = mth(leaves.slice(0, n));
+    for (let m = 1; m <= n; m++) {
+      const proof = await consistencyProof(m, n);
+      expect(proof).toEqual(hex(subproof(m, leaves.slice(0, n), true)));
+      expect(verifyConsistency(m, n, mth(leaves.slice(0, m)), second, fromHex(proof))).toBe(true);
+    }
+  }
+});
+
+test('a consistency proof does not verify against a different earlier root', async () => {
+  const proof = fromHex(await consistencyProof(13, MAX_SIZE));
+  expect(verifyConsistency(13, MAX_SIZE, mth(leaves.slice(0, 12)), mth(leaves), proof)).toBe(false);
+});
@@ -0,0 +1,37 @@
+/**
+ * BENXI — Attachment Expiry
+ *
+ * Attachments expire on the same schedule as queued messages. Rows are
+ * deleted first and blobs second, so a crash can orphan a blob but never
+ * leave a downloadable row pointing at nothing.
+ */
+
+'use strict';
+
+const { query } = require('./connection');
+const storage   = require('../storage');
+
+/**
+ * Delete up to `batchSize` expired attachments and their blobs.
+ * Resolves with the number removed.
+ */
+async function purgeExpiredAttachments(batchSize = 500) {
+  const result = await query(
+    `DELETE FROM attachments
+     WHERE id IN (
+         SELECT id FROM attachments
+         WHERE expires_at < NOW()
+         LIMIT $1
+     )
+     RETURNING id`,
+    [batchSize]
+  );
+
+  for (const row of result.rows) {
+    await storage.remove(row.id);
+  }
+
+  return result.rows.length;
+}
+
+module.exports = { purgeExpiredAttachments };
@@ -34,4 +34,25 @@ function query(text, params) {
   return pool.query(text, params);
 }
 
-module.exports = { connectDB, query };
+/**
+ * Run `fn(client)` inside a transaction on one pooled connection.
+ * Commits when `fn` resolves and rolls back when it throws.
+ */
+async function withTransaction(fn) {
+  if (!pool) throw new Error('Database not connected');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { connectDB, query, withTransaction };
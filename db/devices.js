@@ -0,0 +1,98 @@
+/**
+ * BENXI — Device Registry
+ *
+ * An account is one identity key shared by up to MAX_DEVICES_PER_ACCOUNT devices.
+ * Each device has its own registration ID, prekeys and message queue.
+ */
+
+'use strict';
+
+const { query } = require('./connection');
+
+const PRIMARY_DEVICE_ID = 1;
+
+/**
+ * Parse a client-supplied device ID, defaulting to the primary device.
+ * Returns null if it is not a positive small integer.
+ */
+function parseDeviceId(value) {
+  if (value === undefined || value === null) return PRIMARY_DEVICE_ID;
+  const deviceId = Number(value);
+  if (!Number.isInteger(deviceId) || deviceId < 1 || deviceId > 32767) return null;
+  return deviceId;
+}
+
+async function listDevices(accountId) {
+  const result = await query(
+    `SELECT device_id, registration_id
+     FROM devices
+     WHERE account_id = $1
+     ORDER BY device_id ASC`,
+    [accountId]
+  );
+  return result.rows;
+}
+
+/**
+ * Devices of several accounts at once, as a Map of account ID -> device rows.
+ */
+async function listDevicesForAccounts(accountIds) {
+  const result = await query(
+    `SELECT account_id, device_id, registration_id
+     FROM devices
+     WHERE account_id = ANY($1::uuid[])
+     ORDER BY device_id ASC`,
+    [accountIds]
+  );
+
+  const byAccount = new Map();
+  for (const row of result.rows) {
+    if (!byAccount.has(row.account_id)) byAccount.set(row.account_id, []);
+    byAccount.get(row.account_id).push(row);
+  }
+  return byAccount;
+}
+
+/**
+ * Compare a sender's view of a recipient's devices ({ [device_id]: registration_id })
+ * against the current device rows. Returns null when they match, otherwise:
+ *   missing — devices the sender does not know about
+ *   extra   — devices the sender lists that no longer exist
+ *   stale   — devices re-registered (registration ID changed) since the sender's last fetch
+ */
+function diffDevices(devices, registrationIds) {
+  const submitted = new Set(Object.keys(registrationIds).map(Number));
+  const current   = new Set(devices.map(d => d.device_id));
+
+  const missing = [...current].filter(id => !submitted.has(id));
+  const extra   = [...submitted].filter(id => !current.has(id));
+  const stale   = devices
+    .filter(d => submitted.has(d.device_id) && registrationIds[d.device_id] !== d.registration_id)
+    .map(d => d.device_id);
+
+  if (missing.length === 0 && extra.length === 0 && stale.length === 0) return null;
+  return { missing, extra, stale };
+}
+
+/**
+ * HTTP rejection for a device mismatch:
+ *   409 — devices added or removed; 410 — only re-registered devices.
+ */
+function deviceMismatchResponse(diff) {
+  if (diff.missing.length > 0 || diff.extra.length > 0) {
+    return {
+      status: 409,
+      body: { error: 'stale_device_list', missing_devices: diff.missing, extra_devices: diff.extra },
+    };
+  }
+  return { status: 410, body: { error: 'stale_devices', stale_devices: diff.stale } };
+}
+
+module.exports = {
+  PRIMARY_DEVICE_ID,
+  parseDeviceId,
+  listDevices,
+  listDevicesForAccounts,
+  diffDevices,
+  deviceMismatchResponse,
+};
@@ -0,0 +1,173 @@
+/**
+ * BENXI — Queue Encryption at Rest
+ *
+ * Queued ciphertexts are already end-to-end encrypted, but a database dump or
+ * backup would still show each one's exact size. With a server keyring
+ * configured, every message is stored under envelope encryption:
+ *
+ *   data key   = 32 random bytes, one per message
+ *   ciphertext = AES-256-GCM(data key, pad(blob))
+ *   sealed_key = AES-256-GCM(recipient key, data key), one per destination
+ *   recipient key = HKDF-SHA-256(server key,
+ *                     info = "benxi-queue-v1" ‖ 0x00 ‖ recipient_id ‖ device_id)
+ *
+ * A row can only be opened for the device it was queued for, and the blob is
+ * still stored once per fan-out (see enqueueShared). With QUEUE_PADDING on,
+ * blobs are padded into size buckets before encryption.
+ *
+ * The keyring comes from QUEUE_ENCRYPTION_KEYS or from the file named by
+ * QUEUE_ENCRYPTION_KEYS_FILE: entries `<key id>:<64 hex chars>`, separated by
+ * commas or newlines (`#` starts a comment). The first entry encrypts new rows
+ * and all of them decrypt. Rows record their key ID, so a retired key can be
+ * removed once `SELECT DISTINCT key_id FROM message_queue` no longer lists it,
+ * at most MESSAGE_TTL_DAYS after the rotation. Without a keyring, rows are
+ * stored as before (key_id NULL) and unpadded; loadKeyring warns about it.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+
+const KEY_CONTEXT = 'benxi-queue-v1';
+const IV_BYTES    = 12;
+const TAG_BYTES   = 16;
+const KEY_BYTES   = 32;
+
+const PADDING       = process.env.QUEUE_PADDING === 'true';
+const MIN_BUCKET    = 256;
+const LINEAR_BUCKET = 64 * 1024;   // Powers of two up to here, then multiples of it
+
+let keyring;   // undefined: not loaded yet; null: encryption disabled
+
+/**
+ * Parse and cache the keyring. Throws on a malformed one, so call it at
+ * startup rather than finding out on the first send.
+ */
+function loadKeyring() {
+  if (keyring !== undefined) return keyring;
+
+  const file = process.env.QUEUE_ENCRYPTION_KEYS_FILE;
+  if (file && process.env.QUEUE_ENCRYPTION_KEYS) {
+    throw new Error('Set QUEUE_ENCRYPTION_KEYS or QUEUE_ENCRYPTION_KEYS_FILE, not both');
+  }
+  const text = file ? fs.readFileSync(file, 'utf8') : (process.env.QUEUE_ENCRYPTION_KEYS || '');
+
+  const entries = text.split('\n')
+    .map(line => line.replace(/#.*/, ''))
+    .join(',')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    if (process.env.LOG_LEVEL !== 'none') {
+      console.warn('[envelope] No queue keyring; queued messages are not encrypted at rest' +
+        (PADDING ? ' and QUEUE_PADDING has no effect' : ''));
+    }
+    keyring = null;
+    return keyring;
+  }
+
+  const keys = new Map();
+  for (const entry of entries) {
+    const match = /^(\d+):([0-9a-f]{64})$/i.exec(entry);
+    const id = match ? parseInt(match[1], 10) : 0;
+    if (!match || id < 1 || id > 32767) {
+      throw new Error('Queue keys must be <id 1..32767>:<64 hex chars>');
+    }
+    if (keys.has(id)) throw new Error(`Duplicate queue key ID ${id}`);
+    keys.set(id, Buffer.from(match[2], 'hex'));
+  }
+
+  const [currentId] = keys.keys();
+  keyring = { currentId, keys };
+  return keyring;
+}
+
+function recipientKey(serverKey, recipientId, deviceId) {
+  const device = Buffer.alloc(2);
+  device.writeUInt16BE(deviceId);
+  const info = Buffer.concat([
+    Buffer.from(`${KEY_CONTEXT}\0`),
+    Buffer.from(recipientId.replace(/-/g, ''), 'hex'),
+    device,
+  ]);
+  return Buffer.from(crypto.hkdfSync('sha256', serverKey, Buffer.alloc(0), info, KEY_BYTES));
+}
+
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  return Buffer.concat([iv, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function decrypt(key, sealed) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES, sealed.length - TAG_BYTES)), decipher.final()]);
+}
+
+// ─── Padding ──────────────────────────────────────────────────────────────────
+// A 0x80 marker followed by zeros (ISO/IEC 7816-4), so stripping is unambiguous.
+// Without QUEUE_PADDING only the marker is added.
+
+function paddedLength(length) {
+  const needed = length + 1;
+  if (!PADDING) return needed;
+  if (needed > LINEAR_BUCKET) return Math.ceil(needed / LINEAR_BUCKET) * LINEAR_BUCKET;
+  return Math.max(MIN_BUCKET, 2 ** Math.ceil(Math.log2(needed)));
+}
+
+function pad(blob) {
+  const padded = Buffer.alloc(paddedLength(blob.length));
+  blob.copy(padded);
+  padded[blob.length] = 0x80;
+  return padded;
+}
+
+function unpad(padded) {
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+  if (end < 0 || padded[end] !== 0x80) throw new Error('Invalid queue padding');
+  return padded.subarray(0, end);
+}
+
+// ─── Sealing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Encrypt one blob for one or more destination devices.
+ * destinations: [{ recipientId, deviceId }].
+ * Returns null when no keyring is configured, otherwise
+ * { keyId, ciphertext, sealedKeys } with one sealed key per destination.
+ */
+function sealMessage(blob, destinations) {
+  const ring = loadKeyring();
+  if (!ring) return null;
+
+  const serverKey = ring.keys.get(ring.currentId);
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+
+  return {
+    keyId:      ring.currentId,
+    ciphertext: encrypt(dataKey, pad(blob)),
+    sealedKeys: destinations.map(d => encrypt(recipientKey(serverKey, d.recipientId, d.deviceId), dataKey)),
+  };
+}
+
+/**
+ * The stored blob of a queue row read for (recipientId, deviceId).
+ * Rows written without a keyring are returned as they are.
+ */
+function openMessage(row, recipientId, deviceId) {
+  if (row.key_id === null) return row.ciphertext;
+
+  const ring = loadKeyring();
+  const serverKey = ring && ring.keys.get(row.key_id);
+  if (!serverKey) throw new Error(`Queue key ${row.key_id} is not configured`);
+
+  const dataKey = decrypt(recipientKey(serverKey, recipientId, deviceId), row.sealed_key);
+  return unpad(decrypt(dataKey, row.ciphertext));
+}
+
+module.exports = { loadKeyring, sealMessage, openMessage };
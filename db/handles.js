@@ -0,0 +1,48 @@
+/**
+ * BENXI — Account Handles
+ *
+ * Handles are stored only as scrypt hashes keyed with HANDLE_SALT: a leaked
+ * database alone cannot be searched, and each guess costs ~16 MiB of memory
+ * even with the salt.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const HANDLE_SCRYPT = { N: 2 ** 14, r: 8, p: 1 };
+
+let salt = null;
+
+/**
+ * The deployment's handle salt. Throws in production unless HANDLE_SALT is
+ * 32 bytes of hex, which also turns away the placeholder from .env.example,
+ * so call it at startup rather than finding out on the first lookup.
+ */
+function loadHandleSalt() {
+  if (salt) return salt;
+
+  const configured = process.env.HANDLE_SALT || '';
+  if (/^[0-9a-f]{64}$/i.test(configured)) {
+    salt = configured;
+  } else {
+    if (process.env.NODE_ENV === 'production') throw new Error('HANDLE_SALT must be 32 bytes of hex');
+    if (process.env.LOG_LEVEL !== 'none') {
+      console.warn('[handles] HANDLE_SALT unset or invalid; using a temporary salt, ' +
+        'handles will not survive a restart');
+    }
+    salt = crypto.randomBytes(32).toString('hex');
+  }
+  return salt;
+}
+
+/**
+ * Stored form of a handle. Handles are case-insensitive.
+ */
+async function hashHandle(handle) {
+  return scrypt(handle.toLowerCase(), loadHandleSalt(), 32, HANDLE_SCRYPT);
+}
+
+module.exports = { loadHandleSalt, hashHandle };
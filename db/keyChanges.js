@@ -0,0 +1,94 @@
+/**
+ * BENXI — Identity Key Change Feed
+ *
+ * Every identity key rotation adds an entry to a feed that all clients read.
+ * Each client compares the entries against the contacts whose keys it holds
+ * and warns the user locally. The server never learns who fetched whose
+ * bundle, so it cannot address a notice to those users. It publishes the
+ * change once, to everyone.
+ *
+ * Entries name an account only by a hash of its ID, and they expire with the
+ * message retention window.
+ *
+ * Users confirm a key by comparing safety numbers, built from the fingerprint
+ * of each side's identity key.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { query } = require('./connection');
+const { messageExpiry } = require('./queue');
+
+const HASH_CONTEXT = 'benxi-key-change-v1';
+
+// Numeric fingerprints as in Signal's NumericFingerprintGenerator
+const FINGERPRINT_VERSION    = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+
+/**
+ * SHA-256("benxi-key-change-v1" ‖ 0x00 ‖ account_id as 16 bytes)
+ */
+function accountHash(accountId) {
+  return crypto.createHash('sha256')
+    .update(`${HASH_CONTEXT}\0`)
+    .update(Buffer.from(accountId.replace(/-/g, ''), 'hex'))
+    .digest();
+}
+
+/**
+ * Add a key change to the feed. Run it inside the transaction that swaps the
+ * key (`client` from withTransaction). Resolves with the entry as the feed
+ * lists it: { seq, account_hash }.
+ */
+async function recordKeyChange(client, accountId) {
+  const hash = accountHash(accountId);
+  const result = await client.query(
+    'INSERT INTO key_changes (account_hash, expires_at) VALUES ($1, $2) RETURNING seq',
+    [hash, messageExpiry()]
+  );
+  return { seq: Number(result.rows[0].seq), account_hash: hash.toString('hex') };
+}
+
+/**
+ * Unexpired feed entries after `after`, oldest first.
+ */
+async function keyChangesSince(after, limit) {
+  const result = await query(
+    `SELECT seq, account_hash FROM key_changes
+     WHERE seq > $1 AND expires_at > NOW()
+     ORDER BY seq ASC
+     LIMIT $2`,
+    [after, limit]
+  );
+  return result.rows.map(row => ({
+    seq:          Number(row.seq),
+    account_hash: row.account_hash.toString('hex'),
+  }));
+}
+
+/**
+ * 30-digit fingerprint of an identity key, for safety numbers:
+ *   h = SHA-512(version (uint16, big-endian) ‖ public_key ‖ account_id (16 bytes)),
+ *   then FINGERPRINT_ITERATIONS times h = SHA-512(h ‖ public_key).
+ * `displayable` is six 5-digit groups, each the next 5 bytes of h (big-endian)
+ * mod 100000. `scannable` is the first 32 bytes of h.
+ */
+function fingerprint(accountId, publicKey) {
+  const version = Buffer.alloc(2);
+  version.writeUInt16BE(FINGERPRINT_VERSION);
+  const stableId = Buffer.from(accountId.replace(/-/g, ''), 'hex');
+
+  let hash = crypto.createHash('sha512').update(version).update(publicKey).update(stableId).digest();
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = crypto.createHash('sha512').update(hash).update(publicKey).digest();
+  }
+
+  let displayable = '';
+  for (let offset = 0; offset < 30; offset += 5) {
+    displayable += String(hash.readUIntBE(offset, 5) % 100000).padStart(5, '0');
+  }
+  return { version: FINGERPRINT_VERSION, displayable, scannable: hash.subarray(0, 32).toString('hex') };
+}
+
+module.exports = { accountHash, recordKeyChange, keyChangesSince, fingerprint };
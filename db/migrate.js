@@ -0,0 +1,155 @@
+/**
+ * BENXI — Schema Migrations
+ *
+ * Ordered SQL files in db/migrations, named `<version>_<name>.up.sql` with a
+ * matching `.down.sql`. Applied versions are recorded in `schema_migrations`.
+ * A run holds a PostgreSQL advisory lock and applies everything in one
+ * transaction, so concurrent replicas cannot race and a failed migration
+ * leaves the schema as it was.
+ *
+ *   node db/migrate.js            — apply pending migrations
+ *   node db/migrate.js down [n]   — revert the last n migrations (default 1)
+ *   node db/migrate.js status     — list applied and pending versions
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { connectDB, query, withTransaction } = require('./connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN   = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+// Arbitrary constant shared by every instance: pg_advisory_xact_lock key
+const LOCK_ID = 0x62656e78;
+
+const CREATE_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     INTEGER PRIMARY KEY,
+      name        TEXT NOT NULL,
+      applied_at  TIMESTAMPTZ DEFAULT NOW()
+  )`;
+
+/**
+ * Migrations on disk in version order: [{ version, name, up, down }].
+ */
+function loadMigrations() {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const entry = byVersion.get(version) || { version, name: match[2] };
+    if (entry.name !== match[2]) throw new Error(`Conflicting names for migration ${version}`);
+    entry[match[3]] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (!migration.up) throw new Error(`Migration ${migration.version} has no .up.sql`);
+  }
+  return migrations;
+}
+
+async function appliedVersions(client) {
+  await client.query(CREATE_TABLE);
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+}
+
+/**
+ * Apply every pending migration. Resolves with the versions applied.
+ */
+async function migrateUp() {
+  const migrations = loadMigrations();
+
+  return withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_ID]);
+    const applied = new Set(await appliedVersions(client));
+
+    const done = [];
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      await client.query(fs.readFileSync(migration.up, 'utf8'));
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+      done.push(migration.version);
+    }
+    return done;
+  });
+}
+
+/**
+ * Revert the `steps` most recently applied migrations. Resolves with the versions reverted.
+ */
+async function migrateDown(steps = 1) {
+  const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+
+  return withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_ID]);
+    const applied = await appliedVersions(client);
+
+    const done = [];
+    for (const version of applied.reverse().slice(0, steps)) {
+      const migration = migrations.get(version);
+      if (!migration || !migration.down) throw new Error(`Migration ${version} cannot be reverted`);
+
+      await client.query(fs.readFileSync(migration.down, 'utf8'));
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+      done.push(version);
+    }
+    return done;
+  });
+}
+
+/**
+ * Versions on disk that the database has not applied yet. Read-only.
+ */
+async function pendingMigrations() {
+  const migrations = loadMigrations();
+
+  const table = await query(`SELECT to_regclass('schema_migrations') AS name`);
+  const applied = new Set();
+  if (table.rows[0].name) {
+    const result = await query('SELECT version FROM schema_migrations');
+    for (const row of result.rows) applied.add(row.version);
+  }
+  return migrations.filter(m => !applied.has(m.version)).map(m => m.version);
+}
+
+async function main(command = 'up', arg) {
+  await connectDB();
+
+  if (command === 'up') {
+    const done = await migrateUp();
+    console.log(done.length ? `[migrate] Applied ${done.join(', ')}` : '[migrate] Schema is up to date');
+  } else if (command === 'down') {
+    const done = await migrateDown(arg === undefined ? 1 : parseInt(arg, 10));
+    console.log(`[migrate] Reverted ${done.join(', ') || 'nothing'}`);
+  } else if (command === 'status') {
+    const pending = await pendingMigrations();
+    const all = loadMigrations().map(m => m.version);
+    console.log(`[migrate] Applied: ${all.filter(v => !pending.includes(v)).join(', ') || 'none'}`);
+    console.log(`[migrate] Pending: ${pending.join(', ') || 'none'}`);
+  } else {
+    throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  main(...process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error('[migrate] Failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, pendingMigrations };
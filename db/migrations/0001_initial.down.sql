@@ -0,0 +1,9 @@
+-- Drops every table of the original schema. All accounts, keys and queued messages are lost.
+
+DROP FUNCTION IF EXISTS cleanup_expired_data();
+
+DROP TABLE IF EXISTS revoked_tokens;
+DROP TABLE IF EXISTS message_queue;
+DROP TABLE IF EXISTS one_time_prekeys;
+DROP TABLE IF EXISTS signed_prekeys;
+DROP TABLE IF EXISTS accounts;
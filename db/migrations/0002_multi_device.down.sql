@@ -0,0 +1,54 @@
+-- Back to one device per account. Linked devices, their prekeys and queues,
+-- rotated-out signed prekeys, last-resort prekeys and attachment records are lost.
+
+DROP TABLE IF EXISTS attachments;
+DROP TABLE IF EXISTS last_resort_prekeys;
+
+DELETE FROM devices WHERE device_id <> 1;
+DELETE FROM signed_prekeys WHERE expires_at IS NOT NULL;
+
+-- ─── Message queue ───────────────────────────────────────────────────────────
+
+ALTER TABLE message_queue DROP CONSTRAINT IF EXISTS message_queue_recipient_id_device_id_fkey;
+ALTER TABLE message_queue DROP CONSTRAINT IF EXISTS message_queue_recipient_id_device_id_seq_key;
+ALTER TABLE message_queue DROP COLUMN IF EXISTS seq;
+ALTER TABLE message_queue DROP COLUMN IF EXISTS device_id;
+ALTER TABLE message_queue
+    ADD CONSTRAINT message_queue_recipient_id_fkey
+        FOREIGN KEY (recipient_id) REFERENCES accounts(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_queue_recipient    ON message_queue (recipient_id);
+
+-- ─── One-time prekeys ────────────────────────────────────────────────────────
+
+DROP INDEX IF EXISTS idx_otpk_device;
+ALTER TABLE one_time_prekeys DROP CONSTRAINT IF EXISTS one_time_prekeys_account_id_device_id_fkey;
+ALTER TABLE one_time_prekeys DROP CONSTRAINT IF EXISTS one_time_prekeys_account_id_device_id_key_id_key;
+ALTER TABLE one_time_prekeys DROP COLUMN IF EXISTS device_id;
+ALTER TABLE one_time_prekeys
+    ADD CONSTRAINT one_time_prekeys_account_id_key_id_key UNIQUE (account_id, key_id),
+    ADD CONSTRAINT one_time_prekeys_account_id_fkey
+        FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_otpk_account ON one_time_prekeys (account_id);
+
+-- ─── Signed prekeys ──────────────────────────────────────────────────────────
+
+DROP INDEX IF EXISTS idx_spk_current;
+DROP INDEX IF EXISTS idx_spk_expires;
+ALTER TABLE signed_prekeys DROP CONSTRAINT IF EXISTS signed_prekeys_account_id_device_id_fkey;
+ALTER TABLE signed_prekeys DROP CONSTRAINT IF EXISTS signed_prekeys_account_id_device_id_key_id_key;
+ALTER TABLE signed_prekeys DROP COLUMN IF EXISTS expires_at;
+ALTER TABLE signed_prekeys DROP COLUMN IF EXISTS device_id;
+ALTER TABLE signed_prekeys
+    ADD CONSTRAINT signed_prekeys_account_id_key UNIQUE (account_id),
+    ADD CONSTRAINT signed_prekeys_account_id_fkey
+        FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE;
+
+-- ─── Accounts ────────────────────────────────────────────────────────────────
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS registration_id INTEGER;
+UPDATE accounts a SET registration_id = d.registration_id
+FROM devices d WHERE d.account_id = a.id AND d.device_id = 1;
+ALTER TABLE accounts ALTER COLUMN registration_id SET NOT NULL;
+ALTER TABLE accounts DROP COLUMN IF EXISTS delivery_key_hash;
+
+DROP TABLE IF EXISTS devices;
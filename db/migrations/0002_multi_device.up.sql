@@ -0,0 +1,124 @@
+-- ─── Devices, Key Rotation, Queue Order and Attachments ──────────────────────
+-- Brings the original schema (0001) up to multi-device:
+--   • accounts lose registration_id to a devices table; existing accounts
+--     become device 1 (primary) with their registration ID
+--   • prekeys and queued messages belong to a device; existing rows go to device 1
+--   • signed prekeys keep rotated-out keys until expires_at
+--   • last-resort prekeys, the sealed sender delivery key, and attachments
+--   • queued messages are numbered per device (seq); existing messages are
+--     numbered by expiry, the closest thing to arrival order the queue holds
+-- ─────────────────────────────────────────────────────────────────────────────
+
+-- ─── Accounts and devices ────────────────────────────────────────────────────
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS delivery_key_hash BYTEA;  -- SHA-256 of the sealed sender delivery-access key
+
+CREATE TABLE IF NOT EXISTS devices (
+    account_id      UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    device_id       SMALLINT NOT NULL,              -- 1 = primary
+    registration_id INTEGER NOT NULL,               -- Signal protocol registration ID
+    session_epoch   INTEGER NOT NULL DEFAULT 0,     -- Bumped to revoke every session at once
+    queue_seq       BIGINT NOT NULL DEFAULT 0,      -- Last sequence number assigned in this device's queue
+    PRIMARY KEY (account_id, device_id)
+);
+
+INSERT INTO devices (account_id, device_id, registration_id)
+SELECT id, 1, registration_id FROM accounts
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE accounts DROP COLUMN IF EXISTS registration_id;
+
+-- ─── Signed prekeys ──────────────────────────────────────────────────────────
+
+ALTER TABLE signed_prekeys ADD COLUMN IF NOT EXISTS device_id SMALLINT;
+ALTER TABLE signed_prekeys ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;  -- NULL while current; set when rotated out
+UPDATE signed_prekeys SET device_id = 1 WHERE device_id IS NULL;
+ALTER TABLE signed_prekeys ALTER COLUMN device_id SET NOT NULL;
+
+ALTER TABLE signed_prekeys DROP CONSTRAINT IF EXISTS signed_prekeys_account_id_key;
+ALTER TABLE signed_prekeys DROP CONSTRAINT IF EXISTS signed_prekeys_account_id_fkey;
+ALTER TABLE signed_prekeys
+    ADD CONSTRAINT signed_prekeys_account_id_device_id_key_id_key UNIQUE (account_id, device_id, key_id),
+    ADD CONSTRAINT signed_prekeys_account_id_device_id_fkey
+        FOREIGN KEY (account_id, device_id) REFERENCES devices (account_id, device_id) ON DELETE CASCADE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spk_current ON signed_prekeys (account_id, device_id)
+    WHERE expires_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_spk_expires        ON signed_prekeys (expires_at);
+
+-- ─── One-time prekeys ────────────────────────────────────────────────────────
+
+ALTER TABLE one_time_prekeys ADD COLUMN IF NOT EXISTS device_id SMALLINT;
+UPDATE one_time_prekeys SET device_id = 1 WHERE device_id IS NULL;
+ALTER TABLE one_time_prekeys ALTER COLUMN device_id SET NOT NULL;
+
+ALTER TABLE one_time_prekeys DROP CONSTRAINT IF EXISTS one_time_prekeys_account_id_key_id_key;
+ALTER TABLE one_time_prekeys DROP CONSTRAINT IF EXISTS one_time_prekeys_account_id_fkey;
+ALTER TABLE one_time_prekeys
+    ADD CONSTRAINT one_time_prekeys_account_id_device_id_key_id_key UNIQUE (account_id, device_id, key_id),
+    ADD CONSTRAINT one_time_prekeys_account_id_device_id_fkey
+        FOREIGN KEY (account_id, device_id) REFERENCES devices (account_id, device_id) ON DELETE CASCADE;
+
+DROP INDEX IF EXISTS idx_otpk_account;
+CREATE INDEX IF NOT EXISTS idx_otpk_device ON one_time_prekeys (account_id, device_id);
+
+-- ─── Last-resort prekeys ─────────────────────────────────────────────────────
+-- One per device, signed by the identity key. Served — and never consumed —
+-- when the device's one-time prekeys are exhausted or being drained.
+
+CREATE TABLE IF NOT EXISTS last_resort_prekeys (
+    account_id  UUID NOT NULL,
+    device_id   SMALLINT NOT NULL,
+    key_id      INTEGER NOT NULL,
+    public_key  BYTEA NOT NULL,
+    signature   BYTEA NOT NULL,
+    created_at  TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (account_id, device_id),
+    FOREIGN KEY (account_id, device_id) REFERENCES devices (account_id, device_id) ON DELETE CASCADE
+);
+
+-- ─── Message queue ───────────────────────────────────────────────────────────
+
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS device_id SMALLINT;
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS seq BIGINT;  -- Per-device delivery order; a counter, not a clock
+
+UPDATE message_queue q
+SET device_id = 1, seq = n.seq
+FROM (
+    SELECT id, row_number() OVER (PARTITION BY recipient_id ORDER BY expires_at, id) AS seq
+    FROM message_queue
+) n
+WHERE q.id = n.id AND q.seq IS NULL;
+
+UPDATE devices d
+SET queue_seq = c.last_seq
+FROM (SELECT recipient_id, MAX(seq) AS last_seq FROM message_queue WHERE device_id = 1 GROUP BY 1) c
+WHERE d.account_id = c.recipient_id AND d.device_id = 1;
+
+ALTER TABLE message_queue ALTER COLUMN device_id SET NOT NULL;
+ALTER TABLE message_queue ALTER COLUMN seq SET NOT NULL;
+
+ALTER TABLE message_queue DROP CONSTRAINT IF EXISTS message_queue_recipient_id_fkey;
+ALTER TABLE message_queue
+    ADD CONSTRAINT message_queue_recipient_id_device_id_seq_key UNIQUE (recipient_id, device_id, seq),
+    ADD CONSTRAINT message_queue_recipient_id_device_id_fkey
+        FOREIGN KEY (recipient_id, device_id) REFERENCES devices (account_id, device_id) ON DELETE CASCADE;
+
+DROP INDEX IF EXISTS idx_queue_recipient;
+
+-- ─── Attachments ─────────────────────────────────────────────────────────────
+-- Metadata for encrypted attachment blobs; the bytes live in attachment storage.
+-- No uploader or downloader is recorded. The upload key proves the right to
+-- continue an upload; only its hash is stored.
+-- Expired rows and their blobs are purged by the application, not this schema.
+
+CREATE TABLE IF NOT EXISTS attachments (
+    id              TEXT PRIMARY KEY,   -- 256-bit random, hex — unguessable
+    upload_key_hash BYTEA NOT NULL,     -- SHA-256 of the upload key
+    size            BIGINT NOT NULL,    -- Declared total size in bytes
+    received        BIGINT NOT NULL DEFAULT 0,
+    complete        BOOLEAN NOT NULL DEFAULT FALSE,
+    expires_at      TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '30 days'
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_expires ON attachments (expires_at);
@@ -0,0 +1,52 @@
+-- ─── Key Transparency Log ────────────────────────────────────────────────────
+-- Append-only Merkle tree (RFC 6962 hashing) of identity key bindings.
+-- Leaf n is SHA-256(0x00 ‖ account_id ‖ public_key) for the n-th key ever
+-- registered or rotated to. Only hashes are stored: a deleted account leaves
+-- an anonymous leaf behind and the log cannot be read back as an account list.
+--
+-- key_log_nodes holds every complete subtree: level 0 are the leaves, and
+-- node (level, idx) covers leaves [idx * 2^level, (idx + 1) * 2^level).
+-- Roots and proofs for any tree size are assembled from these nodes.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS key_log_nodes (
+    level   SMALLINT NOT NULL,
+    idx     BIGINT NOT NULL,
+    hash    BYTEA NOT NULL,
+    PRIMARY KEY (level, idx)
+);
+
+-- Leaf holding the account's current identity key
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS key_log_index BIGINT;
+
+-- Log the keys of existing accounts in registration order
+WITH numbered AS (
+    SELECT id, public_key, row_number() OVER (ORDER BY created_at, id) - 1 AS idx
+    FROM accounts
+),
+indexed AS (
+    UPDATE accounts a SET key_log_index = n.idx
+    FROM numbered n
+    WHERE a.id = n.id
+)
+INSERT INTO key_log_nodes (level, idx, hash)
+SELECT 0, idx, sha256('\x00'::bytea || uuid_send(id) || public_key)
+FROM numbered;
+
+DO $$
+DECLARE
+    lvl      SMALLINT := 0;
+    inserted BIGINT;
+BEGIN
+    LOOP
+        INSERT INTO key_log_nodes (level, idx, hash)
+        SELECT lvl + 1, l.idx / 2, sha256('\x01'::bytea || l.hash || r.hash)
+        FROM key_log_nodes l
+        JOIN key_log_nodes r ON r.level = l.level AND r.idx = l.idx + 1
+        WHERE l.level = lvl AND l.idx % 2 = 0;
+
+        GET DIAGNOSTICS inserted = ROW_COUNT;
+        EXIT WHEN inserted = 0;
+        lvl := lvl + 1;
+    END LOOP;
+END $$;
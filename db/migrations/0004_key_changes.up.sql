@@ -0,0 +1,17 @@
+-- ─── Identity Key Changes ────────────────────────────────────────────────────
+-- Public feed of identity key rotations, read by every client and filtered
+-- locally against its own contacts. No row names who fetched the key: the
+-- server cannot tell which users a change concerns.
+--
+-- account_hash is SHA-256("benxi-key-change-v1" ‖ 0x00 ‖ account_id), so the
+-- feed only identifies accounts to clients that already know their IDs.
+-- expires_at is rounded like message_queue.expires_at and hides the rotation time.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS key_changes (
+    seq           BIGSERIAL PRIMARY KEY,
+    account_hash  BYTEA NOT NULL,
+    expires_at    TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_key_changes_expires ON key_changes (expires_at);
@@ -0,0 +1,10 @@
+-- ─── Account Handles ─────────────────────────────────────────────────────────
+-- Optional user-chosen handle that resolves to the account ID. Only a keyed
+-- scrypt hash of the normalized handle is stored (see api/auth.js); without
+-- HANDLE_SALT the column cannot be matched against guessed handles.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS handle_hash BYTEA;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_accounts_handle
+    ON accounts (handle_hash) WHERE handle_hash IS NOT NULL;
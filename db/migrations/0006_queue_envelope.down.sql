@@ -0,0 +1,3 @@
+-- Encrypted rows cannot be read without these columns; drain or delete them first
+ALTER TABLE message_queue DROP COLUMN IF EXISTS sealed_key;
+ALTER TABLE message_queue DROP COLUMN IF EXISTS key_id;
@@ -0,0 +1,9 @@
+-- ─── Queue Encryption at Rest ────────────────────────────────────────────────
+-- Rows queued while a server keyring is configured hold an AES-256-GCM
+-- ciphertext of the (optionally padded) blob. `sealed_key` is its data key,
+-- sealed for the destination device, and `key_id` names the server key it was
+-- sealed under (see db/envelope.js). Both are NULL for unencrypted rows.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS key_id SMALLINT;
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS sealed_key BYTEA;
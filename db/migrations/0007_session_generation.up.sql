@@ -0,0 +1,13 @@
+-- ─── Session Generation ──────────────────────────────────────────────────────
+-- Per-account counter that only goes up. Every session epoch assigned to a
+-- device (linking, logout-all, identity rotation) is a fresh value of it, so a
+-- device ID reused after an unlink never matches the old device's tokens.
+-- Existing accounts start at their highest device epoch — the primary's, which
+-- every bump has included.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS session_generation INTEGER NOT NULL DEFAULT 0;
+
+UPDATE accounts a SET session_generation = d.max_epoch
+FROM (SELECT account_id, MAX(session_epoch) AS max_epoch FROM devices GROUP BY 1) d
+WHERE d.account_id = a.id;
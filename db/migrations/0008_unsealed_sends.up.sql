@@ -0,0 +1,6 @@
+-- ─── Unsealed Sends ──────────────────────────────────────────────────────────
+-- Whether the account accepts identified (Bearer token) sends from other
+-- accounts. Revoking the delivery key stops sealed sends; this stops the rest.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS accept_unsealed BOOLEAN NOT NULL DEFAULT TRUE;
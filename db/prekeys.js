@@ -0,0 +1,34 @@
+/**
+ * BENXI — PreKey Storage
+ *
+ * Shared writes for prekeys uploaded at registration, device linking and refill.
+ */
+
+'use strict';
+
+const MAX_PREKEYS_PER_UPLOAD = 200;
+
+/**
+ * Insert a batch of one-time prekeys in a single statement.
+ * `db` is a pooled client inside withTransaction() or anything with a pg-style query().
+ * prekeys: [{ key_id, public_key: hex }]. With `skipDuplicates`, key IDs the
+ * device already has are ignored instead of failing the batch.
+ * Resolves with the number of keys inserted.
+ */
+async function insertOneTimePrekeys(db, accountId, deviceId, prekeys, { skipDuplicates = false } = {}) {
+  const result = await db.query(
+    `INSERT INTO one_time_prekeys (account_id, device_id, key_id, public_key)
+     SELECT $1, $2, key_id, public_key
+     FROM unnest($3::int[], $4::bytea[]) AS k(key_id, public_key)
+     ${skipDuplicates ? 'ON CONFLICT (account_id, device_id, key_id) DO NOTHING' : ''}`,
+    [
+      accountId,
+      deviceId,
+      prekeys.map(k => k.key_id),
+      prekeys.map(k => Buffer.from(k.public_key, 'hex')),
+    ]
+  );
+  return result.rowCount;
+}
+
+module.exports = { MAX_PREKEYS_PER_UPLOAD, insertOneTimePrekeys };
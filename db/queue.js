@@ -0,0 +1,253 @@
+/**
+ * BENXI — Message Queue
+ *
+ * Writes encrypted blobs into per-device queues.
+ * Every insert is a single statement, so a fan-out reaches all of its
+ * destinations or none of them. No sender is ever written.
+ *
+ * Each device's queue is ordered by `seq`, drawn from a counter on the device
+ * row. It gives clients a stable paging cursor without recording any time.
+ *
+ * Expiry times are rounded to coarse buckets, so `expires_at` does not
+ * reveal when a message was sent. With a queue keyring configured, blobs are
+ * also encrypted at rest and optionally padded (see ./envelope.js).
+ */
+
+'use strict';
+
+const { query } = require('./connection');
+const { sealMessage, openMessage } = require('./envelope');
+
+// message_queue.message_type — opaque to the server apart from routing hints
+const MESSAGE_TYPES = {
+  PREKEY:                  1, // X3DH initial message
+  SIGNAL:                  2, // Double Ratchet message
+  SENDER_KEY_DISTRIBUTION: 3, // Pairwise-encrypted group control: sender keys, group state
+  SENDER_KEY:              4, // Group message encrypted once with the sender's group key
+};
+
+// Server-wide maximum queue retention; also the expiry when the sender sets no TTL
+const RETENTION_SECONDS = parseInt(process.env.MESSAGE_TTL_DAYS || '30', 10) * 24 * 60 * 60;
+const MIN_TTL_SECONDS   = 5 * 60;
+
+// Unexpired messages a device may have waiting before new sends are refused
+const MAX_QUEUE_DEPTH   = parseInt(process.env.MAX_QUEUE_DEPTH || '10000', 10);
+// Identified sends stop here, keeping the rest of the queue for sealed senders
+const MAX_UNSEALED_QUEUE_DEPTH = Math.min(
+  MAX_QUEUE_DEPTH, parseInt(process.env.MAX_UNSEALED_QUEUE_DEPTH || '5000', 10)
+);
+
+// [TTL below, rounded to] in seconds — longer TTLs get coarser buckets
+const EXPIRY_BUCKETS = [
+  [60 * 60,      5 * 60],        // under an hour: 5 minutes
+  [24 * 60 * 60, 60 * 60],       // under a day: 1 hour
+  [Infinity,     24 * 60 * 60],  // otherwise: 1 day
+];
+
+/**
+ * Expiry time for a message kept `ttlSeconds`, rounded up to its bucket
+ * but never past the server's maximum retention.
+ */
+function messageExpiry(ttlSeconds = RETENTION_SECONDS) {
+  const bucketMs = EXPIRY_BUCKETS.find(([below]) => ttlSeconds < below)[1] * 1000;
+  const now      = Date.now();
+  const limit    = now + RETENTION_SECONDS * 1000;
+
+  let expiry = Math.ceil((now + ttlSeconds * 1000) / bucketMs) * bucketMs;
+  if (expiry > limit) expiry = Math.floor(limit / bucketMs) * bucketMs;
+  return new Date(expiry);
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isMessageId(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// Lock the destination devices in a fixed order so concurrent fan-outs
+// cannot deadlock while each reserves its sequence numbers.
+const LOCK_DESTINATIONS = `
+  locked AS (
+    SELECT d.account_id, d.device_id
+    FROM devices d
+    JOIN (SELECT DISTINCT recipient_id, device_id FROM m) t
+      ON d.account_id = t.recipient_id AND d.device_id = t.device_id
+    ORDER BY d.account_id, d.device_id
+    FOR UPDATE OF d
+  )`;
+
+/**
+ * Queue one ciphertext per destination device.
+ * rows: [{ recipientId, deviceId, ciphertext: Buffer, messageType }]
+ * Each row takes the next sequence number of its device's queue.
+ * `expiresAt` comes from messageExpiry().
+ * Resolves with [{ id, recipient_id, device_id, seq }].
+ */
+async function enqueue(rows, expiresAt = messageExpiry()) {
+  const sealed = rows.map(r => sealMessage(r.ciphertext, [r]));
+
+  const result = await query(
+    `WITH m AS (
+       SELECT recipient_id, device_id, ciphertext, message_type, sealed_key,
+              row_number() OVER (PARTITION BY recipient_id, device_id ORDER BY ord) AS n
+       FROM unnest($1::uuid[], $2::smallint[], $3::bytea[], $4::smallint[], $6::bytea[])
+         WITH ORDINALITY AS u(recipient_id, device_id, ciphertext, message_type, sealed_key, ord)
+     ),
+     ${LOCK_DESTINATIONS},
+     bumped AS (
+       UPDATE devices d
+       SET queue_seq = d.queue_seq + c.count
+       FROM (SELECT recipient_id, device_id, COUNT(*) AS count FROM m GROUP BY 1, 2) c, locked l
+       WHERE d.account_id = c.recipient_id AND d.device_id = c.device_id
+         AND l.account_id = d.account_id AND l.device_id = d.device_id
+       RETURNING d.account_id, d.device_id, d.queue_seq - c.count AS base
+     )
+     INSERT INTO message_queue
+       (recipient_id, device_id, seq, ciphertext, message_type, expires_at, key_id, sealed_key)
+     SELECT m.recipient_id, m.device_id, b.base + m.n, m.ciphertext, m.message_type, $5::timestamptz,
+            $7::smallint, m.sealed_key
+     FROM m JOIN bumped b ON b.account_id = m.recipient_id AND b.device_id = m.device_id
+     RETURNING id, recipient_id, device_id, seq`,
+    [
+      rows.map(r => r.recipientId),
+      rows.map(r => r.deviceId),
+      rows.map((r, i) => sealed[i] ? sealed[i].ciphertext : r.ciphertext),
+      rows.map(r => r.messageType),
+      expiresAt,
+      sealed.map(s => s && s.sealedKeys[0]),
+      sealed[0] ? sealed[0].keyId : null,
+    ]
+  );
+  return result.rows;
+}
+
+/**
+ * Queue the same ciphertext for many destination devices.
+ * The blob is sent to PostgreSQL once, not once per destination; at rest
+ * only its small data key is sealed separately for each destination.
+ * destinations: [{ recipientId, deviceId }], each device at most once.
+ */
+async function enqueueShared(destinations, ciphertext, messageType, expiresAt = messageExpiry()) {
+  const sealed = sealMessage(ciphertext, destinations);
+
+  const result = await query(
+    `WITH m AS (
+       SELECT recipient_id, device_id, sealed_key
+       FROM unnest($1::uuid[], $2::smallint[], $6::bytea[]) AS u(recipient_id, device_id, sealed_key)
+     ),
+     ${LOCK_DESTINATIONS},
+     bumped AS (
+       UPDATE devices d
+       SET queue_seq = d.queue_seq + 1
+       FROM locked l
+       WHERE l.account_id = d.account_id AND l.device_id = d.device_id
+       RETURNING d.account_id, d.device_id, d.queue_seq
+     )
+     INSERT INTO message_queue
+       (recipient_id, device_id, seq, ciphertext, message_type, expires_at, key_id, sealed_key)
+     SELECT b.account_id, b.device_id, b.queue_seq, $3::bytea, $4::smallint, $5::timestamptz,
+            $7::smallint, m.sealed_key
+     FROM bumped b JOIN m ON m.recipient_id = b.account_id AND m.device_id = b.device_id
+     RETURNING id, recipient_id, device_id, seq`,
+    [
+      destinations.map(d => d.recipientId),
+      destinations.map(d => d.deviceId),
+      sealed ? sealed.ciphertext : ciphertext,
+      messageType,
+      expiresAt,
+      sealed ? sealed.sealedKeys : destinations.map(() => null),
+      sealed ? sealed.keyId : null,
+    ]
+  );
+  return result.rows;
+}
+
+/**
+ * Destinations whose queue already holds `depth` unexpired messages
+ * (MAX_QUEUE_DEPTH, or MAX_UNSEALED_QUEUE_DEPTH for identified sends).
+ * destinations: [{ recipientId, deviceId }]. Resolves with [{ recipient_id, device_id }].
+ * Counting stops at the limit, so checking a full queue costs no more than a short one.
+ * Checked before enqueueing, so concurrent sends can overshoot by a few messages.
+ */
+async function fullQueues(destinations, depth = MAX_QUEUE_DEPTH) {
+  const result = await query(
+    `SELECT DISTINCT u.recipient_id, u.device_id
+     FROM unnest($1::uuid[], $2::smallint[]) AS u(recipient_id, device_id)
+     WHERE (
+       SELECT COUNT(*) FROM (
+         SELECT 1 FROM message_queue q
+         WHERE q.recipient_id = u.recipient_id AND q.device_id = u.device_id
+           AND q.expires_at > NOW()
+         LIMIT $3
+       ) depth
+     ) >= $3`,
+    [
+      destinations.map(d => d.recipientId),
+      destinations.map(d => d.deviceId),
+      depth,
+    ]
+  );
+  return result.rows;
+}
+
+/**
+ * Unexpired queued messages for a device in sequence order, starting after `after`.
+ * Sequence numbers are assigned under a row lock held until commit, so no
+ * message can later appear behind a cursor the client has already passed.
+ * Rows encrypted at rest are returned opened.
+ */
+async function fetchQueued(recipientId, deviceId, { after = 0, limit }) {
+  const result = await query(
+    `SELECT id, seq, ciphertext, message_type, key_id, sealed_key
+     FROM message_queue
+     WHERE recipient_id = $1 AND device_id = $2 AND seq > $3
+       AND expires_at > NOW()
+     ORDER BY seq ASC
+     LIMIT $4`,
+    [recipientId, deviceId, after, limit]
+  );
+  return result.rows.map(row => ({
+    id:           row.id,
+    seq:          row.seq,
+    ciphertext:   openMessage(row, recipientId, deviceId),
+    message_type: row.message_type,
+  }));
+}
+
+/**
+ * Delete delivered messages in one statement. Only the device's own rows
+ * are touched. Resolves with the IDs actually deleted.
+ */
+async function acknowledge(recipientId, deviceId, ids) {
+  const result = await query(
+    `DELETE FROM message_queue
+     WHERE recipient_id = $1 AND device_id = $2 AND id = ANY($3::uuid[])
+     RETURNING id`,
+    [recipientId, deviceId, ids]
+  );
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Number of messages queued across all devices, for metrics.
+ */
+async function queueSize() {
+  const result = await query('SELECT COUNT(*) AS count FROM message_queue');
+  return Number(result.rows[0].count);
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  MIN_TTL_SECONDS,
+  RETENTION_SECONDS,
+  MAX_QUEUE_DEPTH,
+  MAX_UNSEALED_QUEUE_DEPTH,
+  messageExpiry,
+  isMessageId,
+  enqueue,
+  enqueueShared,
+  fullQueues,
+  fetchQueued,
+  acknowledge,
+  queueSize,
+};
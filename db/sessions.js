@@ -0,0 +1,145 @@
+/**
+ * BENXI — Session Revocation Store
+ *
+ * Revoked JWT IDs and per-device session epochs live in PostgreSQL.
+ * Redis caches both so the per-request check rarely reaches the database.
+ * A cache failure falls back to PostgreSQL — never to "not revoked".
+ * A revocation overwrites the cached answer; if it cannot, the entry is
+ * deleted, and if that fails too the revocation reports an error instead of
+ * leaving a stale answer cached.
+ */
+
+'use strict';
+
+const { query } = require('./connection');
+const cache     = require('../cache/redis');
+
+const EPOCH_CACHE_SECONDS = 300;
+// "Not revoked" is cached briefly, bounding how long any stale answer could survive
+const NOT_REVOKED_CACHE_SECONDS = 300;
+
+/**
+ * Claim the next session epoch of account $1: a CTE body yielding `epoch`.
+ * Every epoch a device is given comes from here, so an epoch is never handed
+ * out twice within an account and a reused device ID cannot revive the
+ * tokens of the device that held it before.
+ */
+const NEXT_SESSION_EPOCH =
+  `UPDATE accounts SET session_generation = session_generation + 1
+   WHERE id = $1
+   RETURNING session_generation AS epoch`;
+
+function secondsUntil(exp) {
+  return Math.max(1, exp - Math.floor(Date.now() / 1000));
+}
+
+async function cacheGet(key) {
+  try {
+    return await cache.redis.get(key);
+  } catch {
+    return null;
+  }
+}
+
+async function cacheSet(key, value, ttlSeconds, onlyIfAbsent = false) {
+  try {
+    if (onlyIfAbsent) {
+      await cache.redis.set(key, value, 'EX', ttlSeconds, 'NX');
+    } else {
+      await cache.redis.set(key, value, 'EX', ttlSeconds);
+    }
+  } catch {
+    // Cache is best-effort — PostgreSQL remains authoritative
+  }
+}
+
+/**
+ * Replace a cached answer that has just become wrong. Falls back to deleting
+ * it, so the next check reads PostgreSQL; throws if neither succeeds.
+ */
+async function cacheReplace(key, value, ttlSeconds) {
+  try {
+    await cache.redis.set(key, value, 'EX', ttlSeconds);
+  } catch {
+    await cache.redis.del(key);
+  }
+}
+
+/**
+ * Whether a token ID has been revoked. `exp` bounds how long the answer is cached.
+ */
+async function isRevoked(jti, exp) {
+  const cacheKey = `revoked:${jti}`;
+  const cached = await cacheGet(cacheKey);
+  if (cached !== null) return cached === '1';
+
+  const result = await query('SELECT 1 FROM revoked_tokens WHERE jti = $1', [jti]);
+  const revoked = result.rows.length > 0;
+
+  const ttl = revoked ? secondsUntil(exp) : Math.min(secondsUntil(exp), NOT_REVOKED_CACHE_SECONDS);
+  await cacheSet(cacheKey, revoked ? '1' : '0', ttl, true);
+  return revoked;
+}
+
+async function revokeToken(jti, exp) {
+  await query(
+    `INSERT INTO revoked_tokens (jti, expires_at)
+     VALUES ($1, to_timestamp($2))
+     ON CONFLICT (jti) DO NOTHING`,
+    [jti, exp]
+  );
+  await cacheReplace(`revoked:${jti}`, '1', secondsUntil(exp));
+}
+
+/**
+ * Current session epoch of a device, or null if the device no longer exists.
+ */
+async function getSessionEpoch(accountId, deviceId) {
+  const cacheKey = `session_epoch:${accountId}:${deviceId}`;
+  const cached = await cacheGet(cacheKey);
+  if (cached !== null) return cached === '' ? null : parseInt(cached, 10);
+
+  const result = await query(
+    'SELECT session_epoch FROM devices WHERE account_id = $1 AND device_id = $2',
+    [accountId, deviceId]
+  );
+  const epoch = result.rows.length > 0 ? result.rows[0].session_epoch : null;
+
+  // NX so a concurrent bump or unlink is never overwritten by a stale read
+  await cacheSet(cacheKey, epoch === null ? '' : String(epoch), EPOCH_CACHE_SECONDS, true);
+  return epoch;
+}
+
+/**
+ * Invalidate every token issued so far to every device of an account.
+ * Devices move to a fresh value of the account's session generation, which
+ * only goes up — see NEXT_SESSION_EPOCH.
+ */
+async function bumpSessionEpoch(accountId) {
+  const result = await query(
+    `WITH generation AS (${NEXT_SESSION_EPOCH})
+     UPDATE devices SET session_epoch = (SELECT epoch FROM generation)
+     WHERE account_id = $1
+     RETURNING device_id, session_epoch`,
+    [accountId]
+  );
+
+  for (const row of result.rows) {
+    const cacheKey = `session_epoch:${accountId}:${row.device_id}`;
+    await cacheReplace(cacheKey, String(row.session_epoch), EPOCH_CACHE_SECONDS);
+  }
+}
+
+/**
+ * Overwrite the cached epoch after a device is linked or removed (null),
+ * so a reused device ID never inherits the previous device's cached state.
+ */
+async function cacheDeviceEpoch(accountId, deviceId, epoch) {
+  const cacheKey = `session_epoch:${accountId}:${deviceId}`;
+  await cacheReplace(cacheKey, epoch === null ? '' : String(epoch), EPOCH_CACHE_SECONDS);
+}
+
+module.exports = {
+  NEXT_SESSION_EPOCH,
+  isRevoked, revokeToken, getSessionEpoch, bumpSessionEpoch, cacheDeviceEpoch,
+};
@@ -0,0 +1,105 @@
+/**
+ * BENXI — Expiry Sweeper
+ *
+ * Deletes expired queued messages, revoked-token records, rotated-out
+ * signed prekeys, key change entries and attachments from inside the backend,
+ * so no pg_cron or external cron job is needed.
+ * A Redis lock lets only one replica sweep at a time. Deletes run in bounded
+ * batches so a large backlog never holds long locks on the queue.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const cache  = require('../cache/redis');
+const { query } = require('./connection');
+const { purgeExpiredAttachments } = require('./attachments');
+const metrics = require('../metrics');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.SWEEP_INTERVAL_MINUTES || '15', 10) * 60 * 1000;
+const BATCH_SIZE        = parseInt(process.env.SWEEP_BATCH_SIZE || '1000', 10);
+const MAX_BATCHES       = 100;   // Per table per run; the rest waits for the next run
+
+const LOCK_KEY = 'sweeper_lock';
+
+const sweepRuns = metrics.counter('benxi_sweeper_runs_total', 'Sweeps completed by this instance');
+const sweptRows = metrics.counter('benxi_sweeper_deleted_total', 'Expired rows deleted by table');
+
+// Delete the lock only if this instance still holds it
+const RELEASE_LOCK = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0`;
+
+function expiredBatch(table, key) {
+  return async () => {
+    const result = await query(
+      `DELETE FROM ${table}
+       WHERE ${key} IN (
+           SELECT ${key} FROM ${table}
+           WHERE expires_at < NOW()
+           LIMIT $1
+       )`,
+      [BATCH_SIZE]
+    );
+    return result.rowCount;
+  };
+}
+
+const TARGETS = {
+  messages:    expiredBatch('message_queue', 'id'),
+  tokens:      expiredBatch('revoked_tokens', 'jti'),
+  prekeys:     expiredBatch('signed_prekeys', 'id'),
+  key_changes: expiredBatch('key_changes', 'seq'),
+  attachments: () => purgeExpiredAttachments(BATCH_SIZE),
+};
+
+/**
+ * Run one sweep if no other replica is sweeping.
+ * Resolves with the rows removed per table, or null when the lock was taken.
+ */
+async function sweep() {
+  const token = crypto.randomBytes(16).toString('hex');
+  const locked = await cache.redis.set(LOCK_KEY, token, 'PX', SWEEP_INTERVAL_MS, 'NX') === 'OK';
+  if (!locked) return null;
+
+  try {
+    const removed = {};
+    for (const [name, deleteBatch] of Object.entries(TARGETS)) {
+      removed[name] = 0;
+      for (let i = 0; i < MAX_BATCHES; i++) {
+        const count = await deleteBatch();
+        removed[name] += count;
+        if (count < BATCH_SIZE) break;
+      }
+      sweptRows.inc({ table: name }, removed[name]);
+    }
+    sweepRuns.inc();
+    return removed;
+  } finally {
+    await cache.redis.eval(RELEASE_LOCK, 1, LOCK_KEY, token).catch(() => {});
+  }
+}
+
+/**
+ * Sweep once shortly after startup, then every SWEEP_INTERVAL_MINUTES.
+ */
+function startSweeper() {
+  const run = () => {
+    sweep()
+      .then((removed) => {
+        if (removed && process.env.LOG_LEVEL !== 'none') {
+          console.log('[sweeper] Removed expired rows:', JSON.stringify(removed));
+        }
+      })
+      .catch((err) => {
+        if (process.env.LOG_LEVEL !== 'none') console.error('[sweeper]', err.message);
+      });
+  };
+
+  setTimeout(run, 10 * 1000).unref();
+  setInterval(run, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = { sweep, startSweeper };
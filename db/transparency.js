@@ -0,0 +1,230 @@
+/**
+ * BENXI — Key Transparency Log
+ *
+ * Every identity key an account registers or rotates to is appended to a
+ * Merkle tree hashed as in RFC 6962 (Certificate Transparency):
+ *
+ *   leaf = SHA-256(0x00 ‖ account_id (16 bytes) ‖ public_key)
+ *   node = SHA-256(0x01 ‖ left ‖ right)
+ *
+ * The server signs tree heads with an Ed25519 key (KT_SIGNING_KEY) that
+ * clients pin. A bundle carries an inclusion proof of its identity key in a
+ * signed head, and consistency proofs show that a later head extends an
+ * earlier one. A server that swaps a key must either log the swap, where the
+ * owner can see it, or show different clients different trees, which their
+ * signed heads and consistency checks expose.
+ *
+ * Only complete subtrees are stored (key_log_nodes). Appends write O(log n)
+ * rows and roots and proofs read O(log n) rows.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const sodium = require('libsodium-wrappers');
+const { query } = require('./connection');
+
+const HEAD_CONTEXT = 'benxi-kt-sth-v1';
+const LOCK_ID      = 0x62656e6b;   // pg_advisory_xact_lock key serializing appends
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+function leafHash(accountId, publicKey) {
+  return sha256(Buffer.from([0x00]), Buffer.from(accountId.replace(/-/g, ''), 'hex'), publicKey);
+}
+
+function nodeHash(left, right) {
+  return sha256(Buffer.from([0x01]), left, right);
+}
+
+// ─── Tree shape ───────────────────────────────────────────────────────────────
+// Ranges are [start, end) of leaf indices. Every range used by RFC 6962 starts
+// at a multiple of a power of two at least as large as the range itself.
+
+function largestPowerOfTwoBelow(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+// Stored complete subtrees covering a range, left to right
+function cover(start, end) {
+  const nodes = [];
+  while (start < end) {
+    let level = 0;
+    while (start % 2 ** (level + 1) === 0 && start + 2 ** (level + 1) <= end) level++;
+    nodes.push({ level, idx: start / 2 ** level });
+    start += 2 ** level;
+  }
+  return nodes;
+}
+
+// RFC 6962 §2.1.1 PATH(m, D[start:end]), as the ranges whose hashes form the path
+function inclusionRanges(m, start, end) {
+  if (end - start <= 1) return [];
+  const k = largestPowerOfTwoBelow(end - start);
+  return m < start + k
+    ? [...inclusionRanges(m, start, start + k), [start + k, end]]
+    : [...inclusionRanges(m, start + k, end), [start, start + k]];
+}
+
+// RFC 6962 §2.1.2 SUBPROOF(m, D[start:end], complete)
+function consistencyRanges(m, start, end, complete) {
+  const n = end - start;
+  if (m === n) return complete ? [] : [[start, end]];
+  const k = largestPowerOfTwoBelow(n);
+  return m <= k
+    ? [...consistencyRanges(m, start, start + k, complete), [start + k, end]]
+    : [...consistencyRanges(m - k, start + k, end, false), [start, start + k]];
+}
+
+/**
+ * Hash of each range, read with one query.
+ */
+async function rangeHashes(ranges, db = { query }) {
+  const needed = ranges.flatMap(([start, end]) => cover(start, end));
+  const result = needed.length === 0 ? { rows: [] } : await db.query(
+    `SELECT n.level, n.idx, n.hash
+     FROM key_log_nodes n
+     JOIN unnest($1::smallint[], $2::bigint[]) AS w(level, idx)
+       ON n.level = w.level AND n.idx = w.idx`,
+    [needed.map(n => n.level), needed.map(n => n.idx)]
+  );
+  const stored = new Map(result.rows.map(row => [`${row.level}:${Number(row.idx)}`, row.hash]));
+
+  return ranges.map(([start, end]) => {
+    if (start === end) return sha256(Buffer.alloc(0));
+    const hashes = cover(start, end).map(({ level, idx }) => {
+      const hash = stored.get(`${level}:${idx}`);
+      if (!hash) throw new Error(`Key log node ${level}:${idx} missing`);
+      return hash;
+    });
+    return hashes.reduceRight((right, left) => nodeHash(left, right));
+  });
+}
+
+async function treeSize(db = { query }) {
+  const result = await db.query(
+    'SELECT idx FROM key_log_nodes WHERE level = 0 ORDER BY idx DESC LIMIT 1'
+  );
+  return result.rows.length === 0 ? 0 : Number(result.rows[0].idx) + 1;
+}
+
+// ─── Appending ────────────────────────────────────────────────────────────────
+
+/**
+ * Log an identity key binding and point the account at its leaf.
+ * Must run inside the transaction that stores the key (`client` from
+ * withTransaction), so a key is never served without being logged.
+ * Resolves with the leaf index.
+ */
+async function appendKey(client, accountId, publicKey) {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_ID]);
+
+  const index = await treeSize(client);
+
+  // The new leaf completes one parent per trailing one bit of its index.
+  // Each parent's left child is the complete subtree just before it.
+  const siblings = [];
+  for (let level = 0; Math.floor(index / 2 ** level) % 2 === 1; level++) {
+    const start = index - (index % 2 ** level) - 2 ** level;
+    siblings.push([start, start + 2 ** level]);
+  }
+  const siblingHashes = await rangeHashes(siblings, client);
+
+  const nodes = [{ level: 0, idx: index, hash: leafHash(accountId, publicKey) }];
+  siblingHashes.forEach((left, level) => {
+    const child = nodes[nodes.length - 1];
+    nodes.push({ level: level + 1, idx: Math.floor(child.idx / 2), hash: nodeHash(left, child.hash) });
+  });
+
+  await client.query(
+    `INSERT INTO key_log_nodes (level, idx, hash)
+     SELECT * FROM unnest($1::smallint[], $2::bigint[], $3::bytea[])`,
+    [nodes.map(n => n.level), nodes.map(n => n.idx), nodes.map(n => n.hash)]
+  );
+  await client.query('UPDATE accounts SET key_log_index = $2 WHERE id = $1', [accountId, index]);
+
+  return index;
+}
+
+// ─── Signed tree heads and proofs ─────────────────────────────────────────────
+
+let signingKey = null;
+
+async function headKeyPair() {
+  await sodium.ready;
+  if (signingKey) return signingKey;
+
+  const seed = Buffer.from(process.env.KT_SIGNING_KEY || '', 'hex');
+  if (seed.length !== sodium.crypto_sign_SEEDBYTES) {
+    if (process.env.NODE_ENV === 'production') throw new Error('KT_SIGNING_KEY must be 32 bytes of hex');
+    if (process.env.LOG_LEVEL !== 'none') console.warn('[transparency] KT_SIGNING_KEY unset; using a temporary key');
+    signingKey = sodium.crypto_sign_keypair();
+  } else {
+    signingKey = sodium.crypto_sign_seed_keypair(seed);
+  }
+  return signingKey;
+}
+
+/**
+ * Bytes covered by a tree head signature:
+ * "benxi-kt-sth-v1" ‖ 0x00 ‖ tree_size (uint64, big-endian) ‖ root_hash
+ */
+function headMessage(size, root) {
+  const sizeBytes = Buffer.alloc(8);
+  sizeBytes.writeBigUInt64BE(BigInt(size));
+  return Buffer.concat([Buffer.from(`${HEAD_CONTEXT}\0`), sizeBytes, root]);
+}
+
+/**
+ * Sign the head of the tree at `size` leaves (default: the current size).
+ */
+async function signedTreeHead(size) {
+  const treeSizeNow = size === undefined ? await treeSize() : size;
+  const [root] = await rangeHashes([[0, treeSizeNow]]);
+  const keyPair = await headKeyPair();
+
+  return {
+    tree_size: treeSizeNow,
+    root_hash: root.toString('hex'),
+    signature: Buffer.from(
+      sodium.crypto_sign_detached(headMessage(treeSizeNow, root), keyPair.privateKey)
+    ).toString('hex'),
+  };
+}
+
+async function signingPublicKey() {
+  return Buffer.from((await headKeyPair()).publicKey).toString('hex');
+}
+
+/**
+ * Audit path for leaf `index` in the tree of `size` leaves, leaf to root.
+ */
+async function inclusionProof(index, size) {
+  const hashes = await rangeHashes(inclusionRanges(index, 0, size));
+  return hashes.map(hash => hash.toString('hex'));
+}
+
+/**
+ * Proof that the tree of `to` leaves extends the tree of `from` leaves.
+ */
+async function consistencyProof(from, to) {
+  if (from === 0 || from === to) return [];
+  const hashes = await rangeHashes(consistencyRanges(from, 0, to, true));
+  return hashes.map(hash => hash.toString('hex'));
+}
+
+module.exports = {
+  leafHash,
+  appendKey,
+  treeSize,
+  signedTreeHead,
+  signingPublicKey,
+  inclusionProof,
+  consistencyProof,
+};
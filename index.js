@@ -11,19 +11,31 @@
 
 require('dotenv').config();
 
+const crypto     = require('crypto');
 const express    = require('express');
 const helmet     = require('helmet');
 const cors       = require('cors');
 const http       = require('http');
 const { Server } = require('ws');
 
-const { connectDB }    = require('./db/connection');
-const { connectRedis } = require('./cache/redis');
-const { setupWebSocket } = require('./websocket/relay');
-const rateLimiter      = require('./middleware/rateLimit');
+const { connectDB, query } = require('./db/connection');
+const cache            = require('./cache/redis');
+const metrics          = require('./metrics');
+const { queueSize }    = require('./db/queue');
+const { setupWebSocket, startFanout, socketCount } = require('./websocket/relay');
+const { globalLimiter } = require('./middleware/rateLimit');
 const authRoutes       = require('./api/auth');
+const deviceRoutes     = require('./api/devices');
 const keyRoutes        = require('./api/keys');
 const messageRoutes    = require('./api/messages');
+const groupRoutes      = require('./api/groups');
+const attachmentRoutes = require('./api/attachments');
+const { startSweeper } = require('./db/sweeper');
+const { pendingMigrations } = require('./db/migrate');
+const { signingPublicKey }  = require('./db/transparency');
+const { loadKeyring }       = require('./db/envelope');
+const { loadHandleSalt }    = require('./db/handles');
+const { loadPuzzleSecret }  = require('./middleware/pow');
 
 const PORT = process.env.PORT || 3001;
 
@@ -63,18 +75,72 @@ if (process.env.NODE_ENV === 'production') {
   app.use(cors());
 }
 
+app.use(metrics.requestMetrics);
 app.use(express.json({ limit: '512kb' }));
-app.use(rateLimiter);
+app.use(globalLimiter);
 
-// ─── Routes ───────────────────────────────────────────────────────────────────
+// ─── Health & Metrics ─────────────────────────────────────────────────────────
+
+const HEALTH_TIMEOUT_MS = 2000;
+
+function probe(check) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('timeout')), HEALTH_TIMEOUT_MS);
+  });
+  return Promise.race([Promise.resolve().then(check), timeout])
+    .then(() => 'ok', () => 'unavailable')
+    .finally(() => clearTimeout(timer));
+}
+
+// Readiness: 503 unless PostgreSQL and Redis both answer
+app.get('/api/v1/health', async (req, res) => {
+  const [database, redis] = await Promise.all([
+    probe(() => query('SELECT 1')),
+    probe(() => cache.redis.ping()),
+  ]);
+  const ready = database === 'ok' && redis === 'ok';
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'unavailable',
+    version: '1.0.0',
+    database,
+    redis,
+  });
+});
+
+function metricsAllowed(req) {
+  if (process.env.LOG_LEVEL === 'none') return false;
+
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return true;
+
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(req.headers['authorization'] || ''), digest(`Bearer ${token}`));
+}
+
+metrics.gauge('benxi_message_queue_size', 'Messages queued across all devices', queueSize);
+metrics.gauge('benxi_websocket_connections', 'Authenticated sockets on this instance', socketCount);
+
+// Aggregates only. Disabled with LOG_LEVEL=none; guarded by METRICS_TOKEN when set.
+app.get('/metrics', async (req, res, next) => {
+  if (!metricsAllowed(req)) return next();   // Falls through to the 404 handler
 
-app.get('/api/v1/health', (req, res) => {
-  res.json({ status: 'ok', version: '1.0.0' });
+  try {
+    res.type('text/plain; version=0.0.4').send(await metrics.render());
+  } catch (err) {
+    next(err);
+  }
 });
 
+// ─── Routes ───────────────────────────────────────────────────────────────────
+
 app.use('/api/v1/accounts', authRoutes);
+app.use('/api/v1/devices',  deviceRoutes);
 app.use('/api/v1/keys',     keyRoutes);
 app.use('/api/v1/messages', messageRoutes);
+app.use('/api/v1/groups',   groupRoutes);
+app.use('/api/v1/attachments', attachmentRoutes);
 
 // 404 handler — no information leakage
 app.use((req, res) => {
@@ -83,6 +149,12 @@ app.use((req, res) => {
 
 // Error handler — minimal information exposed
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'payload_too_large' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'invalid_json' });
+  }
   if (process.env.LOG_LEVEL !== 'none') {
     console.error('[error]', err.message);
   }
@@ -100,7 +172,28 @@ setupWebSocket(wss);
 async function start() {
   try {
     await connectDB();
-    await connectRedis();
+
+    // Refuse to serve against a schema older than this code expects
+    if (process.env.CHECK_SCHEMA_ON_START !== 'false') {
+      const pending = await pendingMigrations();
+      if (pending.length > 0) {
+        throw new Error(`Database schema is out of date (pending migrations: ${pending.join(', ')}). Run npm run db:migrate`);
+      }
+    }
+
+    // Throws in production without KT_SIGNING_KEY, before any bundle is served
+    await signingPublicKey();
+    // Throws on a malformed queue keyring, before any message is queued
+    loadKeyring();
+    // Throws in production without a valid HANDLE_SALT, before any handle is stored
+    loadHandleSalt();
+    // Throws in production without POW_PUZZLE_SECRET, before any puzzle is issued
+    loadPuzzleSecret();
+
+    await cache.connectRedis();
+    await startFanout();
+
+    startSweeper();
 
     server.listen(PORT, '0.0.0.0', () => {
       if (process.env.LOG_LEVEL !== 'none') {
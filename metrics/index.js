@@ -0,0 +1,119 @@
+/**
+ * BENXI — Aggregate Metrics
+ *
+ * Counters and gauges in the Prometheus text format, served on /metrics.
+ * Only aggregates are kept: label values are route templates, status codes
+ * and table names, never anything taken from a request. No label may carry
+ * an account ID, device ID, token or address.
+ *
+ *   counter(name, help)         — monotonically increasing totals
+ *   gauge(name, help, collect)  — `collect()` resolves the value at scrape time
+ *   histogram(name, help, buckets)
+ */
+
+'use strict';
+
+const metrics = new Map();
+
+function labelKey(labels) {
+  return Object.keys(labels).sort()
+    .map(name => `${name}="${String(labels[name]).replace(/["\\\n]/g, '_')}"`)
+    .join(',');
+}
+
+function counter(name, help) {
+  const values = new Map();
+  metrics.set(name, { type: 'counter', help, values });
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+  };
+}
+
+function gauge(name, help, collect) {
+  metrics.set(name, { type: 'gauge', help, collect });
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map();
+  metrics.set(name, { type: 'histogram', help, buckets, series });
+  return {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+    },
+  };
+}
+
+function sample(name, key, value, extra = '') {
+  const labels = [key, extra].filter(Boolean).join(',');
+  return labels ? `${name}{${labels}} ${value}` : `${name} ${value}`;
+}
+
+/**
+ * Render every metric. Gauges are collected now; one failing collector is
+ * left out rather than failing the whole scrape.
+ */
+async function render() {
+  const lines = [];
+  for (const [name, metric] of metrics) {
+    const body = [];
+
+    if (metric.type === 'counter') {
+      for (const [key, value] of metric.values) body.push(sample(name, key, value));
+    } else if (metric.type === 'gauge') {
+      try {
+        body.push(sample(name, '', await metric.collect()));
+      } catch {
+        continue;
+      }
+    } else {
+      for (const [key, entry] of metric.series) {
+        metric.buckets.forEach((bound, i) => {
+          body.push(sample(`${name}_bucket`, key, entry.counts[i], `le="${bound}"`));
+        });
+        body.push(sample(`${name}_bucket`, key, entry.count, 'le="+Inf"'));
+        body.push(sample(`${name}_sum`, key, entry.sum));
+        body.push(sample(`${name}_count`, key, entry.count));
+      }
+    }
+
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`, ...body);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// ─── HTTP requests ────────────────────────────────────────────────────────────
+
+const requests = counter('benxi_http_requests_total', 'HTTP requests by route template and status');
+const latency  = histogram(
+  'benxi_http_request_duration_seconds',
+  'HTTP request latency by route template',
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+);
+
+/**
+ * Count every request under its route template (e.g. /api/v1/keys/:account_id).
+ * Requests that match no route are counted as `unmatched`, so arbitrary
+ * paths never become label values.
+ */
+function requestMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    requests.inc({ method: req.method, route, status: res.statusCode });
+    latency.observe({ route }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+
+  next();
+}
+
+module.exports = { counter, gauge, histogram, render, requestMetrics };
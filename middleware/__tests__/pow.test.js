@@ -0,0 +1,218 @@
+/**
+ * Proof of work: stamps and registration puzzles against fixed vectors.
+ *
+ * Redis is an in-memory map behind a stubbed client, and the clock is pinned
+ * so the stamps below stay inside their validity window. The nonces and the
+ * puzzle challenge were computed independently of this code.
+ */
+
+'use strict';
+
+jest.mock('../../cache/redis', () => ({ redis: { set: jest.fn(), getdel: jest.fn(), mget: jest.fn() } }));
+
+process.env.POW_PUZZLE_SECRET = 'ab'.repeat(32);
+
+const crypto = require('crypto');
+const cache  = require('../../cache/redis');
+const {
+  leadingZeroBits, requireProofOfWork, adaptiveDifficulty, issuePuzzle, redeemPuzzle, loadPuzzleSecret,
+} = require('../pow');
+
+const store = new Map();
+
+async function fakeSet(key, value, ...options) {
+  if (options.includes('NX') && store.has(key)) return null;
+  store.set(key, value);
+  return 'OK';
+}
+
+async function fakeGetdel(key) {
+  const value = store.has(key) ? store.get(key) : null;
+  store.delete(key);
+  return value;
+}
+
+const NOW = 1700000000;
+
+function response() {
+  return {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Run the middleware once; resolves { passed, res }
+async function run(middleware, stamp) {
+  const req = { headers: stamp === undefined ? {} : { 'x-proof-of-work': stamp } };
+  const res = response();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  store.clear();
+  cache.redis.set.mockImplementation(fakeSet);
+  cache.redis.getdel.mockImplementation(fakeGetdel);
+  jest.spyOn(Date, 'now').mockReturnValue((NOW + 30) * 1000);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('leadingZeroBits', () => {
+  test.each([
+    ['80',       0],
+    ['0f',       4],
+    ['00ff',     8],
+    ['0001',     15],
+    ['00000000', 32],
+  ])('%s has %i leading zero bits', (hex, bits) => {
+    expect(leadingZeroBits(Buffer.from(hex, 'hex'))).toBe(bits);
+  });
+});
+
+describe('requireProofOfWork', () => {
+  // SHA-256("benxi-pow:register:1700000000:1fa4") starts with 13 zero bits
+  const STAMP = `${NOW}:1fa4`;
+
+  test('a stamp with enough zero bits passes once', async () => {
+    const middleware = requireProofOfWork('register', 12);
+
+    expect((await run(middleware, STAMP)).passed).toBe(true);
+
+    const replay = await run(middleware, STAMP);
+    expect(replay.passed).toBe(false);
+    expect(replay.res.statusCode).toBe(403);
+  });
+
+  test('a stamp short of the difficulty is rejected', async () => {
+    const { passed, res } = await run(requireProofOfWork('register', 14), STAMP);
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ error: 'invalid_proof_of_work', scope: 'register', bits: 14 });
+  });
+
+  test('a stamp is bound to its scope', async () => {
+    expect((await run(requireProofOfWork('link', 12), STAMP)).passed).toBe(false);
+  });
+
+  test('a stamp outside the clock window is rejected', async () => {
+    Date.now.mockReturnValue((NOW + 121) * 1000);
+    expect((await run(requireProofOfWork('register', 12), STAMP)).passed).toBe(false);
+  });
+
+  test.each(['abc', `${NOW}`, `${NOW}:`, `${NOW}:${'a'.repeat(65)}`, 'x:1fa4'])(
+    'the malformed stamp "%s" is rejected',
+    async (stamp) => {
+      const { passed, res } = await run(requireProofOfWork('register', 12), stamp);
+      expect(passed).toBe(false);
+      expect(res.statusCode).toBe(403);
+    }
+  );
+
+  test('a missing stamp gets 428 with the difficulty', async () => {
+    const { res } = await run(requireProofOfWork('register', 12));
+
+    expect(res.statusCode).toBe(428);
+    expect(res.body).toEqual({ error: 'proof_of_work_required', scope: 'register', bits: 12 });
+  });
+
+  test('difficulty 0 needs no stamp', async () => {
+    expect((await run(requireProofOfWork('register', 0))).passed).toBe(true);
+  });
+});
+
+describe('registration puzzles', () => {
+  const RANDOM = Buffer.from([...Array(16).keys()]);
+  // RANDOM ‖ HMAC-SHA-256(POW_PUZZLE_SECRET, "benxi-pow-puzzle-v1\0register\0" ‖ RANDOM)
+  const CHALLENGE = '000102030405060708090a0b0c0d0e0f' +
+    '69bbd7515a523ea912c1f3bcccab8ee371cc8cb2dd6d3ee91e1cdb4af2664e55';
+  // SHA-256("benxi-pow:register:<CHALLENGE>:b50") starts with 12 zero bits; with "00" it does not
+  const SOLUTION = 'b50';
+
+  beforeEach(() => {
+    jest.spyOn(crypto, 'randomBytes').mockReturnValue(RANDOM);
+  });
+
+  test('an issued puzzle is signed and stored with its difficulty', async () => {
+    expect(await issuePuzzle('register', 12)).toBe(CHALLENGE);
+    expect(cache.redis.set).toHaveBeenCalledWith(`pow_puzzle:register:${RANDOM.toString('hex')}`, '12', 'EX', 300);
+  });
+
+  test('a solved puzzle is redeemed once', async () => {
+    await issuePuzzle('register', 12);
+
+    expect(await redeemPuzzle('register', CHALLENGE, SOLUTION)).toBe(true);
+    expect(await redeemPuzzle('register', CHALLENGE, SOLUTION)).toBe(false);
+  });
+
+  test('a wrong solution uses the puzzle up', async () => {
+    await issuePuzzle('register', 12);
+
+    expect(await redeemPuzzle('register', CHALLENGE, '00')).toBe(false);
+    expect(await redeemPuzzle('register', CHALLENGE, SOLUTION)).toBe(false);
+  });
+
+  test('the difficulty comes from Redis, not from the client', async () => {
+    await issuePuzzle('register', 13);
+    expect(await redeemPuzzle('register', CHALLENGE, SOLUTION)).toBe(false);
+  });
+
+  test('a forged challenge is rejected without a Redis lookup', async () => {
+    await issuePuzzle('register', 12);
+    const forged = CHALLENGE.slice(0, -2) + '54';
+
+    expect(await redeemPuzzle('register', forged, SOLUTION)).toBe(false);
+    expect(await redeemPuzzle('register', CHALLENGE.slice(0, 64), SOLUTION)).toBe(false);
+    expect(cache.redis.getdel).not.toHaveBeenCalled();
+  });
+
+  test('a puzzle is bound to its scope', async () => {
+    const challenge = await issuePuzzle('link', 12);
+    expect(challenge).not.toBe(CHALLENGE);
+    expect(await redeemPuzzle('register', challenge, SOLUTION)).toBe(false);
+  });
+
+  test('a production server will not start without a valid secret', () => {
+    const saved = { ...process.env };
+    try {
+      for (const secret of ['', 'CHANGE_THIS_TO_A_32_BYTE_RANDOM_HEX_STRING', 'ab'.repeat(31)]) {
+        Object.assign(process.env, { NODE_ENV: 'production', POW_PUZZLE_SECRET: secret });
+        jest.isolateModules(() => {
+          expect(() => require('../pow').loadPuzzleSecret()).toThrow('POW_PUZZLE_SECRET must be 32 bytes of hex');
+        });
+      }
+    } finally {
+      process.env = saved;
+    }
+    expect(loadPuzzleSecret().toString('hex')).toBe('ab'.repeat(32));
+  });
+});
+
+describe('adaptiveDifficulty', () => {
+  test.each([
+    [[null, null],    20],
+    [['100', '40'],   20],
+    [['101', null],   21],
+    [[null, '400'],   22],
+    [['1000000', '0'], 28],
+  ])('signup counts %j give %i bits', async (counts, bits) => {
+    cache.redis.mget.mockResolvedValue(counts);
+    expect(await adaptiveDifficulty('register', 100, 20)).toBe(bits);
+  });
+
+  test('falls back to the base difficulty without Redis', async () => {
+    cache.redis.mget.mockRejectedValue(new Error('down'));
+    expect(await adaptiveDifficulty('register', 100, 20)).toBe(20);
+  });
+});
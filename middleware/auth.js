@@ -5,8 +5,31 @@
 'use strict';
 
 const jwt = require('jsonwebtoken');
+const { isRevoked, getSessionEpoch } = require('../db/sessions');
 
-function requireAuth(req, res, next) {
+const REVOKED = 'token_revoked';
+
+/**
+ * Verify a session token's signature, expiry and revocation state.
+ * Shared by the REST middleware and the WebSocket relay.
+ * Throws on any failure; resolves with the JWT payload.
+ */
+async function verifyToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!payload.jti || await isRevoked(payload.jti, payload.exp)) {
+    throw new Error(REVOKED);
+  }
+
+  const epoch = await getSessionEpoch(payload.sub, payload.dev || 1);
+  if (epoch === null || (payload.ep || 0) !== epoch) {
+    throw new Error(REVOKED);
+  }
+
+  return payload;
+}
+
+async function requireAuth(req, res, next) {
   const authHeader = req.headers['authorization'];
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -15,13 +38,21 @@ function requireAuth(req, res, next) {
 
   const token = authHeader.slice(7);
 
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.account_id = payload.sub;
-    return next();
-  } catch {
-    return res.status(401).json({ error: 'invalid_token' });
+    payload = await verifyToken(token);
+  } catch (err) {
+    if (err instanceof jwt.JsonWebTokenError || err.message === REVOKED) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/token]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
   }
+
+  req.account_id = payload.sub;
+  req.device_id  = payload.dev || 1;
+  req.token = { jti: payload.jti, exp: payload.exp };
+  return next();
 }
 
-module.exports = { requireAuth };
+module.exports = { requireAuth, verifyToken };
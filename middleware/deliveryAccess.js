@@ -0,0 +1,164 @@
+/**
+ * BENXI — Sealed Sender Delivery Access
+ *
+ * Lets a sender prove it may deliver to a recipient without revealing who it is.
+ * Recipients publish a delivery-access key derived client-side from their profile
+ * key and share it only with contacts. The server stores just its SHA-256.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { query } = require('../db/connection');
+const { requireAuth } = require('./auth');
+
+const DELIVERY_KEY_BYTES = 16;
+
+// Compared against when the recipient is unknown, so timing does not reveal existence
+const DUMMY_HASH = crypto.randomBytes(32);
+
+function hashDeliveryKey(keyBytes) {
+  return crypto.createHash('sha256').update(keyBytes).digest();
+}
+
+/**
+ * Check a presented delivery-access key against the recipient's published one.
+ * Resolves false for unknown recipients, unset keys and wrong keys alike.
+ */
+async function checkDeliveryKey(recipientId, deliveryKey) {
+  const keyBytes = Buffer.from(deliveryKey, 'hex');
+  if (keyBytes.length !== DELIVERY_KEY_BYTES) return false;
+
+  const result = await query(
+    'SELECT delivery_key_hash FROM accounts WHERE id = $1',
+    [recipientId]
+  );
+  const stored = result.rows.length > 0 ? result.rows[0].delivery_key_hash : null;
+
+  const match = crypto.timingSafeEqual(hashDeliveryKey(keyBytes), stored || DUMMY_HASH);
+  return Boolean(stored) && match;
+}
+
+/**
+ * Check one delivery-access key per recipient in a single query.
+ * entries: [{ recipient_id, delivery_key }]. Resolves true only if every key matches.
+ */
+async function checkDeliveryKeys(entries) {
+  const result = await query(
+    'SELECT id, delivery_key_hash FROM accounts WHERE id = ANY($1::uuid[])',
+    [entries.map(e => e.recipient_id)]
+  );
+  const stored = new Map(result.rows.map(row => [row.id, row.delivery_key_hash]));
+
+  let allowed = true;
+  for (const entry of entries) {
+    const keyBytes = Buffer.from(String(entry.delivery_key || ''), 'hex');
+    const expected = stored.get(entry.recipient_id);
+
+    // Compare every entry, even after a failure, so timing reveals nothing
+    const match = keyBytes.length === DELIVERY_KEY_BYTES &&
+      crypto.timingSafeEqual(hashDeliveryKey(keyBytes), expected || DUMMY_HASH);
+    allowed = allowed && Boolean(expected) && match;
+  }
+  return allowed;
+}
+
+/**
+ * Recipients among `recipientIds` that refuse identified sends from other
+ * accounts (accept_unsealed = false). An account may always send to itself.
+ */
+async function refusingUnsealed(recipientIds, senderId) {
+  const result = await query(
+    'SELECT id FROM accounts WHERE id = ANY($1::uuid[]) AND id <> $2 AND NOT accept_unsealed',
+    [recipientIds, senderId]
+  );
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Authorize an identified send: a valid Bearer token, and no recipient that
+ * refuses unsealed sends (403 with the refusing recipients otherwise).
+ */
+function requireIdentifiedAccess(req, res, next, recipientIds) {
+  return requireAuth(req, res, async () => {
+    try {
+      const refusing = await refusingUnsealed(recipientIds, req.account_id);
+      if (refusing.length > 0) {
+        return res.status(403).json({ error: 'unsealed_sends_refused', recipients: refusing });
+      }
+      return next();
+    } catch (err) {
+      if (process.env.LOG_LEVEL !== 'none') console.error('[auth/delivery]', err.message);
+      return res.status(500).json({ error: 'internal_error' });
+    }
+  });
+}
+
+/**
+ * Authorize a send either sealed (X-Delivery-Key header, no session token)
+ * or identified (Bearer token, used for first contact before the sender
+ * has learned the recipient's delivery key, unless the recipient refuses it).
+ */
+async function requireSenderAccess(req, res, next) {
+  const deliveryKey = req.headers['x-delivery-key'];
+  if (!deliveryKey) return requireIdentifiedAccess(req, res, next, [req.body.recipient_id]);
+
+  if (process.env.ENABLE_SEALED_SENDER === 'false') {
+    return res.status(403).json({ error: 'sealed_sender_disabled' });
+  }
+
+  const { recipient_id } = req.body;
+  if (!recipient_id) return res.status(400).json({ error: 'missing_fields' });
+
+  try {
+    const allowed = await checkDeliveryKey(recipient_id, deliveryKey);
+    if (!allowed) return res.status(401).json({ error: 'invalid_delivery_key' });
+
+    req.sealed = true;
+    return next();
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/delivery]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+}
+
+/**
+ * Multi-recipient variant: a sealed request carries a `delivery_key` in every
+ * `recipients[]` entry instead of the X-Delivery-Key header.
+ * A Bearer token authorizes an identified send instead.
+ */
+async function requireMultiSenderAccess(req, res, next) {
+  if (req.headers['authorization']) {
+    return requireIdentifiedAccess(req, res, next, req.body.recipients.map(r => r.recipient_id));
+  }
+
+  if (process.env.ENABLE_SEALED_SENDER === 'false') {
+    return res.status(403).json({ error: 'sealed_sender_disabled' });
+  }
+
+  const { recipients } = req.body;
+  if (!Array.isArray(recipients) || recipients.length === 0 ||
+      recipients.some(r => !r || typeof r !== 'object')) {
+    return res.status(400).json({ error: 'missing_fields' });
+  }
+
+  try {
+    const allowed = await checkDeliveryKeys(recipients);
+    if (!allowed) return res.status(401).json({ error: 'invalid_delivery_key' });
+
+    req.sealed = true;
+    return next();
+  } catch (err) {
+    if (process.env.LOG_LEVEL !== 'none') console.error('[auth/delivery]', err.message);
+    return res.status(500).json({ error: 'internal_error' });
+  }
+}
+
+module.exports = {
+  DELIVERY_KEY_BYTES,
+  hashDeliveryKey,
+  checkDeliveryKey,
+  checkDeliveryKeys,
+  requireSenderAccess,
+  requireMultiSenderAccess,
+};
@@ -0,0 +1,197 @@
+/**
+ * BENXI — Proof of Work
+ *
+ * Anonymous routes (registration, login challenges, device linking) carry no
+ * session token to rate-limit on, and keying on IP addresses would defeat the
+ * point of BENXI. Instead each request pays a small hashcash-style cost.
+ * A single client can still send requests, but a flood becomes expensive,
+ * and nothing identifying about the caller is recorded.
+ *
+ * The client sends `X-Proof-Of-Work: <unix seconds>:<nonce>` such that
+ *   SHA-256("benxi-pow:<scope>:<unix seconds>:<nonce>")
+ * starts with at least `bits` zero bits. Stamps are valid for a few minutes
+ * around the server clock and are accepted once.
+ *
+ * Registration uses server-issued puzzles instead (issuePuzzle / redeemPuzzle):
+ * the challenge is stored in Redis and consumed on use, and its difficulty
+ * rises with recent signup volume. Challenges are signed with POW_PUZZLE_SECRET,
+ * so forged ones are turned away without a Redis lookup.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const cache  = require('../cache/redis');
+
+const DEFAULT_BITS     = parseInt(process.env.POW_DIFFICULTY_BITS || '20', 10);
+const MAX_SKEW_SECONDS = 120;
+const MAX_NONCE_LENGTH = 64;
+const MAX_BITS         = parseInt(process.env.POW_MAX_DIFFICULTY_BITS || '28', 10);
+const PUZZLE_TTL       = 300;    // Seconds a puzzle may take to solve
+
+const PUZZLE_CONTEXT   = 'benxi-pow-puzzle-v1';
+
+// Puzzle challenge: random (16) ‖ HMAC-SHA-256 (32)
+const PUZZLE_RANDOM_BYTES = 16;
+const PUZZLE_MAC_BYTES    = 32;
+const PUZZLE_BYTES        = PUZZLE_RANDOM_BYTES + PUZZLE_MAC_BYTES;
+
+function leadingZeroBits(digest) {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+function meetsDifficulty(input, bits) {
+  const digest = crypto.createHash('sha256').update(input).digest();
+  return leadingZeroBits(digest) >= bits ? digest.toString('hex') : null;
+}
+
+/**
+ * Check a stamp without consuming it. Resolves the digest (hex) when valid, else null.
+ */
+function checkStamp(scope, stamp, bits) {
+  const match = /^(\d{1,12}):([\w-]+)$/.exec(stamp || '');
+  if (!match || match[2].length > MAX_NONCE_LENGTH) return null;
+
+  const issuedAt = parseInt(match[1], 10);
+  if (Math.abs(Date.now() / 1000 - issuedAt) > MAX_SKEW_SECONDS) return null;
+
+  return meetsDifficulty(`benxi-pow:${scope}:${match[1]}:${match[2]}`, bits);
+}
+
+/**
+ * Middleware requiring a proof of work bound to `scope`.
+ * A missing stamp gets 428 with the difficulty, so clients can discover it.
+ */
+function requireProofOfWork(scope, bits = DEFAULT_BITS) {
+  return async (req, res, next) => {
+    if (bits <= 0) return next();
+
+    const stamp = req.headers['x-proof-of-work'];
+    if (!stamp) {
+      return res.status(428).json({ error: 'proof_of_work_required', scope, bits });
+    }
+
+    const digest = checkStamp(scope, stamp, bits);
+    if (!digest) return res.status(403).json({ error: 'invalid_proof_of_work', scope, bits });
+
+    try {
+      // Single use: remember the stamp for as long as it could still be accepted
+      const fresh = await cache.redis.set(`pow:${digest}`, '1', 'EX', MAX_SKEW_SECONDS * 2, 'NX');
+      if (fresh !== 'OK') return res.status(403).json({ error: 'invalid_proof_of_work', scope, bits });
+    } catch (err) {
+      if (process.env.LOG_LEVEL !== 'none') console.error('[pow]', err.message);
+      return res.status(500).json({ error: 'internal_error' });
+    }
+
+    return next();
+  };
+}
+
+// ─── Server-issued puzzles ────────────────────────────────────────────────────
+
+function hourBucket(offset = 0) {
+  return Math.floor(Date.now() / 3600000) - offset;
+}
+
+/**
+ * Difficulty for `scope`: `baseBits`, plus one bit for every doubling of the
+ * uses recorded in the last hour beyond `expectedPerHour`, up to POW_MAX_DIFFICULTY_BITS.
+ * Falls back to `baseBits` if Redis is unavailable.
+ */
+async function adaptiveDifficulty(scope, expectedPerHour, baseBits = DEFAULT_BITS) {
+  if (baseBits <= 0) return 0;
+  try {
+    const counts = await cache.redis.mget(
+      `pow_volume:${scope}:${hourBucket()}`,
+      `pow_volume:${scope}:${hourBucket(1)}`
+    );
+    const volume = Math.max(...counts.map(c => parseInt(c || '0', 10)));
+    if (volume <= expectedPerHour) return baseBits;
+    return Math.min(Math.max(MAX_BITS, baseBits), baseBits + Math.ceil(Math.log2(volume / expectedPerHour)));
+  } catch {
+    return baseBits;
+  }
+}
+
+/**
+ * Count one completed use of `scope` towards its adaptive difficulty.
+ * Only an hourly total is kept.
+ */
+async function recordUse(scope) {
+  const key = `pow_volume:${scope}:${hourBucket()}`;
+  await cache.redis.multi().incr(key).expire(key, 2 * 3600).exec().catch(() => {});
+}
+
+let puzzleSecret = null;
+
+/**
+ * The key puzzles are signed with, shared by every replica. Throws in
+ * production unless POW_PUZZLE_SECRET is 32 bytes of hex, so call it at startup.
+ */
+function loadPuzzleSecret() {
+  if (puzzleSecret) return puzzleSecret;
+
+  const secret = process.env.POW_PUZZLE_SECRET || '';
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    puzzleSecret = Buffer.from(secret, 'hex');
+  } else {
+    if (process.env.NODE_ENV === 'production') throw new Error('POW_PUZZLE_SECRET must be 32 bytes of hex');
+    if (process.env.LOG_LEVEL !== 'none') console.warn('[pow] POW_PUZZLE_SECRET unset; using a temporary key');
+    puzzleSecret = crypto.randomBytes(32);
+  }
+  return puzzleSecret;
+}
+
+function puzzleMac(scope, random) {
+  return crypto.createHmac('sha256', loadPuzzleSecret())
+    .update(`${PUZZLE_CONTEXT}\0${scope}\0`)
+    .update(random)
+    .digest();
+}
+
+/**
+ * Store a fresh puzzle for `scope`, valid for PUZZLE_TTL seconds.
+ * Resolves the challenge (hex) to send to the client.
+ */
+async function issuePuzzle(scope, bits) {
+  const random = crypto.randomBytes(PUZZLE_RANDOM_BYTES);
+  await cache.redis.set(`pow_puzzle:${scope}:${random.toString('hex')}`, String(bits), 'EX', PUZZLE_TTL);
+  return Buffer.concat([random, puzzleMac(scope, random)]).toString('hex');
+}
+
+/**
+ * Consume a puzzle and check its solution: SHA-256("benxi-pow:<scope>:<challenge>:<nonce>")
+ * must have the difficulty the puzzle was issued with. A puzzle is consumed even
+ * when the solution is wrong, so each one can be tried only once.
+ */
+async function redeemPuzzle(scope, challenge, nonce) {
+  const bytes = Buffer.from(challenge, 'hex');
+  if (bytes.length !== PUZZLE_BYTES) return false;
+
+  const random = bytes.subarray(0, PUZZLE_RANDOM_BYTES);
+  if (!crypto.timingSafeEqual(puzzleMac(scope, random), bytes.subarray(PUZZLE_RANDOM_BYTES))) return false;
+
+  const bits = await cache.redis.getdel(`pow_puzzle:${scope}:${random.toString('hex')}`);
+  if (bits === null) return false;
+  return meetsDifficulty(`benxi-pow:${scope}:${challenge}:${nonce}`, parseInt(bits, 10)) !== null;
+}
+
+module.exports = {
+  requireProofOfWork,
+  leadingZeroBits,
+  adaptiveDifficulty,
+  recordUse,
+  loadPuzzleSecret,
+  issuePuzzle,
+  redeemPuzzle,
+  PUZZLE_TTL,
+  PUZZLE_BYTES,
+};
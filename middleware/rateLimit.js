@@ -3,27 +3,254 @@
  *
  * Protects against abuse without logging user identities.
  * Keyed on a session-derived token, NOT on IP address.
+ * Sealed sends carry no session token, so they are budgeted per recipient instead.
+ * Anonymous routes carry nothing to key on at all; they require proof of work
+ * (middleware/pow.js) rather than sharing one bucket any single client could drain.
+ *
+ * Counters live in Redis so every replica enforces the same budget.
  */
 
 'use strict';
 
+const crypto    = require('crypto');
 const rateLimit = require('express-rate-limit');
+const cache     = require('../cache/redis');
+
+function hashKey(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function isSealed(req) {
+  return Boolean(req.headers['x-delivery-key']);
+}
+
+/**
+ * express-rate-limit store on the shared Redis connection.
+ * Fixed windows: the first hit in a window sets the counter's expiry.
+ * Fails open if Redis is unavailable, like consumeQuota.
+ */
+class RedisStore {
+  constructor(name) {
+    this.prefix    = `ratelimit:${name}:`;
+    this.localKeys = false;
+  }
 
-const limiter = rateLimit({
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const redisKey = this.prefix + key;
+    try {
+      const [[, totalHits], , [, ttl]] = await cache.redis.multi()
+        .incr(redisKey)
+        .pexpire(redisKey, this.windowMs, 'NX')
+        .pttl(redisKey)
+        .exec();
+      return { totalHits, resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+    } catch {
+      return { totalHits: 1, resetTime: new Date(Date.now() + this.windowMs) };
+    }
+  }
+
+  async decrement(key) {
+    await cache.redis.decr(this.prefix + key).catch(() => {});
+  }
+
+  async resetKey(key) {
+    await cache.redis.del(this.prefix + key).catch(() => {});
+  }
+}
+
+function rejectRequest(req, res) {
+  res.status(429).json({ error: 'rate_limit_exceeded' });
+}
+
+const globalLimiter = rateLimit({
   windowMs:         60 * 1000,                             // 1 minute
   max:              parseInt(process.env.MAX_REQUESTS_PER_MINUTE || '60', 10),
   standardHeaders:  true,
   legacyHeaders:    false,
+  store:            new RedisStore('global'),
   // Key by Authorization header hash, not IP — privacy design
+  keyGenerator: (req) => hashKey(req.headers['authorization']),
+  handler: rejectRequest,
+  // Requests without a token — sealed sends and anonymous routes — are limited
+  // by the sealed send limiters and by proof of work
+  skip: (req) => req.path === '/api/v1/health' || !req.headers['authorization'],
+});
+
+// Caps everything delivered sealed to one recipient, whoever the senders are.
+// Mount after requireSenderAccess: only sends with a valid delivery key count,
+// so nobody without the key can spend the recipient's budget.
+const sealedSendLimiter = rateLimit({
+  windowMs:         60 * 1000,
+  max:              parseInt(process.env.MAX_SEALED_SENDS_PER_MINUTE || '120', 10),
+  standardHeaders:  true,
+  legacyHeaders:    false,
+  store:            new RedisStore('sealed'),
+  keyGenerator: (req) => hashKey(`sealed:${req.body.recipient_id}`),
+  handler: rejectRequest,
+  skip: (req) => !req.sealed,
+});
+
+const DELIVERY_KEY_FAILURES_PER_MINUTE =
+  parseInt(process.env.MAX_DELIVERY_KEY_FAILURES_PER_MINUTE || '60', 10);
+
+function deliveryKeyFailureKey(recipientId) {
+  return hashKey(`sealed_failures:${recipientId}`);
+}
+
+// Bounds delivery-key guessing against one recipient. Mount before
+// requireSenderAccess; only rejected keys (401) stay counted.
+const deliveryKeyFailureLimiter = rateLimit({
+  windowMs:         60 * 1000,
+  max:              DELIVERY_KEY_FAILURES_PER_MINUTE,
+  standardHeaders:  true,
+  legacyHeaders:    false,
+  store:            new RedisStore('sealed_failures'),
+  keyGenerator: (req) => deliveryKeyFailureKey(req.body.recipient_id),
+  handler: rejectRequest,
+  skip: (req) => !isSealed(req),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful:   (req, res) => res.statusCode !== 401,
+});
+
+/**
+ * deliveryKeyFailureLimiter for multi-recipient sealed sends, on the same
+ * per-recipient counters. Every listed recipient is charged up front and
+ * refunded unless the keys were rejected (401). Mount before
+ * requireMultiSenderAccess. Fails open if Redis is unavailable.
+ */
+async function multiDeliveryKeyFailureLimiter(req, res, next) {
+  if (req.headers['authorization']) return next();
+
+  const ids  = [...new Set(req.body.recipients.map(r => r.recipient_id))];
+  const keys = ids.map(id => `ratelimit:sealed_failures:${deliveryKeyFailureKey(id)}`);
+
+  let counts;
+  try {
+    const multi = cache.redis.multi();
+    for (const key of keys) multi.incr(key).pexpire(key, 60 * 1000, 'NX');
+    const results = await multi.exec();
+    counts = results.filter((_, i) => i % 2 === 0).map(([, count]) => count);
+  } catch {
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode === 401) return;
+    const multi = cache.redis.multi();
+    for (const key of keys) multi.decr(key);
+    multi.exec().catch(() => {});
+  });
+
+  if (counts.some(count => count > DELIVERY_KEY_FAILURES_PER_MINUTE)) return rejectRequest(req, res);
+  return next();
+}
+
+// Sealed group sends are budgeted per recipient set — in effect per group —
+// without the server keeping any record of group membership.
+// Mount after requireMultiSenderAccess, like sealedSendLimiter, with
+// multiDeliveryKeyFailureLimiter in front of it.
+const groupSendLimiter = rateLimit({
+  windowMs:         60 * 1000,
+  max:              parseInt(process.env.MAX_SEALED_SENDS_PER_MINUTE || '120', 10),
+  standardHeaders:  true,
+  legacyHeaders:    false,
+  store:            new RedisStore('group'),
   keyGenerator: (req) => {
-    const auth = req.headers['authorization'] || 'anonymous';
-    const crypto = require('crypto');
-    return crypto.createHash('sha256').update(auth).digest('hex');
+    const ids = req.body.recipients.map(r => String(r && r.recipient_id)).sort();
+    return hashKey(`group:${ids.join(',')}`);
   },
-  handler: (req, res) => {
-    res.status(429).json({ error: 'rate_limit_exceeded' });
-  },
-  skip: (req) => req.path === '/api/v1/health',
+  handler: rejectRequest,
+  skip: (req) => !req.sealed,
 });
 
-module.exports = limiter;
+/**
+ * Per-route budget for authenticated requests, counted separately from the
+ * global limit and from every other route. Mount after requireAuth.
+ */
+function routeLimiter(name, maxPerMinute) {
+  return rateLimit({
+    windowMs:         60 * 1000,
+    max:              maxPerMinute,
+    standardHeaders:  true,
+    legacyHeaders:    false,
+    store:            new RedisStore(`route:${name}`),
+    keyGenerator: (req) => hashKey(req.headers['authorization']),
+    handler: rejectRequest,
+  });
+}
+
+/**
+ * Count one hit against a fixed-window quota shared by all instances.
+ * Resolves false once `limit` hits were counted in the current window.
+ * Fails open if Redis is unavailable.
+ */
+async function consumeQuota(key, limit, windowSeconds) {
+  try {
+    const [[, count]] = await cache.redis.multi()
+      .incr(`quota:${key}`)
+      .expire(`quota:${key}`, windowSeconds, 'NX')
+      .exec();
+    return count <= limit;
+  } catch {
+    return true;
+  }
+}
+
+const INBOUND_PER_HOUR  = parseInt(process.env.MAX_INBOUND_MESSAGES_PER_HOUR || '1000', 10);
+const UNSEALED_PER_HOUR = parseInt(process.env.MAX_UNSEALED_MESSAGES_PER_HOUR || '200', 10);
+const SENDER_PER_HOUR   = parseInt(process.env.MAX_MESSAGES_PER_SENDER_PER_HOUR || '50', 10);
+
+// Count one hit on every key in one transaction; true if none is over its limit
+async function consumeHourly(entries) {
+  if (entries.length === 0) return true;
+  const multi = cache.redis.multi();
+  for (const { key } of entries) {
+    multi.incr(`quota:${key}`).expire(`quota:${key}`, 3600, 'NX');
+  }
+  const results = await multi.exec();
+  return entries.every((entry, i) => results[i * 2][1] <= entry.limit);
+}
+
+/**
+ * Count one inbound message against each recipient's hourly quota, whoever
+ * sends it — sealed or identified, direct or group. Caps how fast a flood can
+ * fill a queue without the server learning who is flooding.
+ *
+ * Identified sends (`senderId` set) to other accounts are first counted per
+ * sender and recipient, then against the share of the quota open to identified
+ * senders. Each tier is only charged once the one before it passed, so a
+ * sender over its own budget spends nothing of what others may send.
+ * Resolves false if any recipient is over quota. Fails open like consumeQuota.
+ */
+async function consumeInboundQuota(recipientIds, senderId) {
+  try {
+    if (senderId) {
+      const others = recipientIds.filter(id => id !== senderId);
+      const perSender = others.map(id => ({
+        key: `inbound_sender:${hashKey(`${senderId}:${id}`)}`, limit: SENDER_PER_HOUR,
+      }));
+      if (!await consumeHourly(perSender)) return false;
+      if (!await consumeHourly(others.map(id => ({ key: `inbound_unsealed:${id}`, limit: UNSEALED_PER_HOUR })))) {
+        return false;
+      }
+    }
+    return await consumeHourly(recipientIds.map(id => ({ key: `inbound:${id}`, limit: INBOUND_PER_HOUR })));
+  } catch {
+    return true;
+  }
+}
+
+module.exports = {
+  globalLimiter,
+  sealedSendLimiter,
+  deliveryKeyFailureLimiter,
+  multiDeliveryKeyFailureLimiter,
+  groupSendLimiter,
+  routeLimiter,
+  consumeQuota,
+  consumeInboundQuota,
+};
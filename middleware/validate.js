@@ -0,0 +1,188 @@
+/**
+ * BENXI — Request Validation Middleware
+ *
+ * Declarative schemas checked before a handler runs, so malformed input is
+ * rejected with a machine-readable 400 instead of reaching PostgreSQL.
+ *
+ *   { error: 'missing_fields', field: 'signed_prekey.signature' }
+ *   { error: 'invalid_field',  field: 'registration_id', expected: 'int 1..16380' }
+ *
+ * Field types:
+ *   { type: 'uuid' }
+ *   { type: 'int', min, max }               — numeric strings accepted in params/query
+ *   { type: 'hex', bytes | minBytes, maxBytes }
+ *   { type: 'bool' }
+ *   { type: 'string', min, max, pattern }   — length in characters
+ *   { type: 'array', items, min, max }
+ *   { type: 'object', fields }              — unknown fields are ignored
+ *   { type: 'map', key, values, min, max }  — object used as a dictionary
+ * Any field may be marked `optional: true`.
+ */
+
+'use strict';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_PATTERN  = /^(?:[0-9a-f]{2})*$/i;
+
+// ─── Shared field definitions ─────────────────────────────────────────────────
+
+const types = {
+  uuid:           { type: 'uuid' },
+  deviceId:       { type: 'int', min: 1, max: 32767 },
+  registrationId: { type: 'int', min: 1, max: 16380 },        // Signal: 14-bit, non-zero
+  keyId:          { type: 'int', min: 0, max: 0xFFFFFF },     // Signal: 24-bit
+  identityKey:    { type: 'hex', bytes: 32 },                 // Ed25519 public key
+  prekey:         { type: 'hex', minBytes: 32, maxBytes: 33 }, // Optionally type-prefixed
+  signature:      { type: 'hex', bytes: 64 },                 // Ed25519 signature
+  nonce:          { type: 'hex', bytes: 32 },
+  ciphertext:     { type: 'hex', minBytes: 1 },               // Size limits stay in the handlers
+};
+
+types.signedPrekey = {
+  type: 'object',
+  fields: { key_id: types.keyId, public_key: types.prekey, signature: types.signature },
+};
+
+types.oneTimePrekeys = (max) => ({
+  type: 'array',
+  max,
+  items: { type: 'object', fields: { key_id: types.keyId, public_key: types.prekey } },
+});
+
+// ─── Checking ─────────────────────────────────────────────────────────────────
+
+function withRange(label, min, max, unit = '') {
+  let bounds = '';
+  if (min !== undefined && max !== undefined) bounds = min === max ? `${min}` : `${min}..${max}`;
+  else if (min !== undefined) bounds = `>= ${min}`;
+  else if (max !== undefined) bounds = `<= ${max}`;
+  return bounds ? `${label} ${bounds}${unit}` : label;
+}
+
+function describe(schema) {
+  switch (schema.type) {
+    case 'int':    return withRange('int', schema.min, schema.max);
+    case 'hex':    return schema.bytes !== undefined
+      ? withRange('hex', schema.bytes, schema.bytes, ' bytes')
+      : withRange('hex', schema.minBytes, schema.maxBytes, ' bytes');
+    case 'array':  return withRange('array', schema.min, schema.max, ' items');
+    case 'map':    return withRange('object', schema.min, schema.max, ' entries');
+    case 'string': return withRange('string', schema.min, schema.max, ' chars');
+    default:       return schema.type;
+  }
+}
+
+function toInt(value, coerce) {
+  if (coerce && typeof value === 'string' && /^-?\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Check `value` against `schema`. Returns null when valid, otherwise
+ * { error, field, expected }. `set` receives a coerced value to write back.
+ */
+function check(schema, value, field, coerce, set) {
+  if (value === undefined || value === null || value === '') {
+    return schema.optional ? null : { error: 'missing_fields', field };
+  }
+
+  const invalid = { error: 'invalid_field', field, expected: describe(schema) };
+
+  switch (schema.type) {
+    case 'uuid':
+      return typeof value === 'string' && UUID_PATTERN.test(value) ? null : invalid;
+
+    case 'int': {
+      const number = toInt(value, coerce);
+      if (!Number.isSafeInteger(number)) return invalid;
+      if (schema.min !== undefined && number < schema.min) return invalid;
+      if (schema.max !== undefined && number > schema.max) return invalid;
+      if (number !== value) set(number);
+      return null;
+    }
+
+    case 'hex': {
+      if (typeof value !== 'string' || !HEX_PATTERN.test(value)) return invalid;
+      const bytes = value.length / 2;
+      if (schema.bytes !== undefined && bytes !== schema.bytes) return invalid;
+      if (schema.minBytes !== undefined && bytes < schema.minBytes) return invalid;
+      if (schema.maxBytes !== undefined && bytes > schema.maxBytes) return invalid;
+      return null;
+    }
+
+    case 'bool':
+      return typeof value === 'boolean' ? null : invalid;
+
+    case 'string':
+      if (typeof value !== 'string') return invalid;
+      if (schema.min !== undefined && value.length < schema.min) return invalid;
+      if (schema.max !== undefined && value.length > schema.max) return invalid;
+      if (schema.pattern && !schema.pattern.test(value)) return invalid;
+      return null;
+
+    case 'array': {
+      if (!Array.isArray(value)) return invalid;
+      if (schema.min !== undefined && value.length < schema.min) return invalid;
+      if (schema.max !== undefined && value.length > schema.max) return invalid;
+      for (let i = 0; i < value.length; i++) {
+        const failure = check(schema.items, value[i], `${field}[${i}]`, coerce, (v) => { value[i] = v; });
+        if (failure) return failure;
+      }
+      return null;
+    }
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return invalid;
+      return checkFields(schema.fields, value, `${field}.`, coerce);
+
+    case 'map': {
+      if (typeof value !== 'object' || Array.isArray(value)) return invalid;
+      const keys = Object.keys(value);
+      if (schema.min !== undefined && keys.length < schema.min) return invalid;
+      if (schema.max !== undefined && keys.length > schema.max) return invalid;
+      for (const key of keys) {
+        // Keys are always strings; they are checked, not rewritten
+        const keyFailure = check(schema.key, key, `${field}.${key}`, true, () => {});
+        if (keyFailure) return keyFailure;
+        const failure = check(schema.values, value[key], `${field}.${key}`, coerce, (v) => { value[key] = v; });
+        if (failure) return failure;
+      }
+      return null;
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+function checkFields(fields, container, prefix, coerce) {
+  for (const [name, schema] of Object.entries(fields)) {
+    const failure = check(schema, container[name], `${prefix}${name}`, coerce, (v) => { container[name] = v; });
+    if (failure) return failure;
+  }
+  return null;
+}
+
+/**
+ * Middleware factory. `schema` may describe `params`, `query` and `body`,
+ * each as a { field: definition } map.
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    for (const part of ['params', 'query', 'body']) {
+      if (!schema[part]) continue;
+
+      const container = req[part];
+      if (!container || typeof container !== 'object' || Array.isArray(container)) {
+        return res.status(400).json({ error: 'invalid_body' });
+      }
+
+      // Params and query strings arrive as strings; numbers are coerced there only
+      const failure = checkFields(schema[part], container, '', part !== 'body');
+      if (failure) return res.status(400).json(failure);
+    }
+    return next();
+  };
+}
+
+module.exports = { validate, types };
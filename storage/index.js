@@ -0,0 +1,25 @@
+/**
+ * BENXI — Attachment Storage Backend
+ *
+ * Selects the blob store for encrypted attachments (ATTACHMENT_STORAGE).
+ * Every backend exposes the same interface, so an S3-compatible store can
+ * replace the local one without touching the routes:
+ *
+ *   create(id)                 — allocate an empty blob
+ *   write(id, offset, buffer)  — write a chunk at a byte offset
+ *   createReadStream(id)       — stream the finished blob
+ *   remove(id)                 — delete the blob (no error if already gone)
+ */
+
+'use strict';
+
+const BACKENDS = {
+  local: './local',
+};
+
+const name = process.env.ATTACHMENT_STORAGE || 'local';
+if (!BACKENDS[name]) {
+  throw new Error(`Unknown attachment storage backend: ${name}`);
+}
+
+module.exports = require(BACKENDS[name]);
@@ -0,0 +1,43 @@
+/**
+ * BENXI — Local Filesystem Attachment Storage
+ *
+ * Stores opaque encrypted blobs under ATTACHMENT_DIR, sharded by ID prefix.
+ * Blobs are already end-to-end encrypted; the server cannot read them.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const fsp  = require('fs/promises');
+const path = require('path');
+
+const ROOT = process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'data', 'attachments');
+
+function blobPath(id) {
+  return path.join(ROOT, id.slice(0, 2), id);
+}
+
+async function create(id) {
+  const file = blobPath(id);
+  await fsp.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+  await fsp.writeFile(file, Buffer.alloc(0), { flag: 'wx', mode: 0o600 });
+}
+
+async function write(id, offset, data) {
+  const handle = await fsp.open(blobPath(id), 'r+');
+  try {
+    await handle.write(data, 0, data.length, offset);
+  } finally {
+    await handle.close();
+  }
+}
+
+function createReadStream(id) {
+  return fs.createReadStream(blobPath(id));
+}
+
+async function remove(id) {
+  await fsp.rm(blobPath(id), { force: true });
+}
+
+module.exports = { create, write, createReadStream, remove };
@@ -0,0 +1,106 @@
+/**
+ * BENXI — WebSocket Push Delivery
+ *
+ * Opt-in mode where queued ciphertexts are streamed over the socket instead
+ * of notify-then-fetch. Messages stay in the queue until the client acks
+ * them, so a dropped connection simply redelivers on the next one.
+ *
+ * Flow control: at most `window` unacknowledged messages are in flight, and
+ * sending pauses while the socket's send buffer is backed up. A long offline
+ * backlog therefore drains at the pace the client acknowledges it.
+ */
+
+'use strict';
+
+const { isMessageId, fetchQueued, acknowledge } = require('../db/queue');
+
+const DEFAULT_WINDOW = parseInt(process.env.WS_PUSH_WINDOW || '50', 10);
+const MAX_BUFFERED   = 1024 * 1024;
+
+/**
+ * Attach push delivery to an authenticated socket.
+ * `requestedWindow` lets a constrained client ask for fewer messages in flight.
+ */
+function createPushSession(ws, accountId, deviceId, requestedWindow) {
+  const window = Number.isInteger(requestedWindow) && requestedWindow > 0
+    ? Math.min(requestedWindow, DEFAULT_WINDOW)
+    : DEFAULT_WINDOW;
+
+  const inFlight = new Set();
+  let cursor  = 0;   // Highest seq handed out on this socket
+  let pumping = false;
+  let again   = false;
+  let drained = false;
+
+  function send(frame) {
+    if (ws.readyState === 1) ws.send(JSON.stringify(frame));
+  }
+
+  /**
+   * Fill the window from the queue. Runs one fetch at a time; calls made
+   * while a fetch is running are coalesced into one more pass.
+   */
+  async function pump() {
+    if (pumping) {
+      again = true;
+      return;
+    }
+    pumping = true;
+
+    try {
+      do {
+        again = false;
+        if (ws.readyState !== 1 || ws.bufferedAmount > MAX_BUFFERED) break;
+
+        const room = window - inFlight.size;
+        if (room <= 0) break;
+
+        const rows = await fetchQueued(accountId, deviceId, { after: cursor, limit: room });
+        for (const row of rows) {
+          inFlight.add(row.id);
+          cursor = Number(row.seq);
+          send({
+            type:         'message',
+            id:           row.id,
+            seq:          cursor,
+            ciphertext:   row.ciphertext.toString('hex'),
+            message_type: row.message_type,
+          });
+        }
+
+        // Tell the client once when its backlog has been fully handed out
+        if (!drained && rows.length < room) {
+          drained = true;
+          send({ type: 'queue_empty' });
+        }
+      } while (again);
+    } catch {
+      // Delivery resumes on the next ack or new message — no logging to preserve privacy
+    } finally {
+      pumping = false;
+    }
+  }
+
+  /**
+   * Delete acknowledged messages and refill the window.
+   */
+  async function ack(ids) {
+    if (!Array.isArray(ids)) return;
+
+    const valid = ids.filter(isMessageId).slice(0, window * 2);
+    if (valid.length === 0) return;
+
+    try {
+      await acknowledge(accountId, deviceId, valid);
+    } catch {
+      return;
+    }
+
+    for (const id of valid) inFlight.delete(id);
+    await pump();
+  }
+
+  return { pump, ack };
+}
+
+module.exports = { createPushSession };
@@ -4,50 +4,279 @@
  * Real-time delivery of encrypted message notifications.
  * Server sees only account IDs and opaque payloads.
  * No message content passes through this relay in plaintext.
+ *
+ * Sockets that authenticate with `push: true` receive the queued ciphertexts
+ * themselves instead of notifications (see ./push.js).
+ *
+ * Every authenticated socket is sent each new key change feed entry
+ * (`identity_key_changed`, with the entry's seq and account hash). Clients
+ * match it against their own contacts, so the server never learns whose keys
+ * a socket cares about.
+ *
+ * A socket must authenticate within AUTH_TIMEOUT_MS and is closed when its
+ * token expires, unless it sends `{ type: 'refresh', token }` with a newer one
+ * for the same device. Protocol pings detect dead peers.
+ *
+ * Several instances can run behind a load balancer. Each one records in Redis
+ * which accounts it holds sockets for, and how many, refreshed by a heartbeat
+ * so a crashed instance ages out on its own. Events for an account connected
+ * elsewhere are published to those instances' channels and delivered there,
+ * and MAX_SOCKETS_PER_ACCOUNT counts the sockets of every live instance.
  */
 
 'use strict';
 
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const cache  = require('../cache/redis');
+const { verifyToken }       = require('../middleware/auth');
+const { createPushSession } = require('./push');
 
-// Map of accountId -> Set of WebSocket connections
+// Map of accountId -> Set of WebSocket connections on this instance
 const connections = new Map();
 
+const INSTANCE_ID       = crypto.randomBytes(8).toString('hex');
+const PRESENCE_TTL_MS   = 60 * 1000;
+const HEARTBEAT_MS      = 20 * 1000;
+
+const PING_INTERVAL_MS  = parseInt(process.env.WS_PING_INTERVAL_SECONDS || '30', 10) * 1000;
+const AUTH_TIMEOUT_MS   = 10 * 1000;
+const MAX_SOCKETS       = parseInt(process.env.MAX_SOCKETS_PER_ACCOUNT || '10', 10);
+const MAX_TIMER_MS      = 2 ** 31 - 1;   // setTimeout limit (~24.8 days)
+
+// Every instance subscribes: key changes go to all sockets, not to presence
+const KEY_CHANGE_CHANNEL = 'ws:key_changes';
+
+function instanceChannel(instanceId) {
+  return `ws:instance:${instanceId}`;
+}
+
+// Sorted set of instance IDs holding sockets for the account, scored by expiry time
+function presenceKey(accountId) {
+  return `presence:${accountId}`;
+}
+
+// Hash of instance ID -> sockets that instance holds for the account
+function socketsKey(accountId) {
+  return `sockets:${accountId}`;
+}
+
+// Count the sockets of live instances and take a slot if under the cap.
+// Counts of instances whose presence expired are dropped on the way.
+// KEYS: sockets, presence. ARGV: instance ID, now (ms), cap, TTL (ms).
+const RESERVE_SOCKET = `
+  local live = {}
+  for _, id in ipairs(redis.call('zrangebyscore', KEYS[2], ARGV[2], '+inf')) do live[id] = true end
+  live[ARGV[1]] = true
+
+  local total = 0
+  local counts = redis.call('hgetall', KEYS[1])
+  for i = 1, #counts, 2 do
+    if live[counts[i]] then
+      total = total + tonumber(counts[i + 1])
+    else
+      redis.call('hdel', KEYS[1], counts[i])
+    end
+  end
+  if total >= tonumber(ARGV[3]) then return 0 end
+
+  redis.call('hincrby', KEYS[1], ARGV[1], 1)
+  redis.call('pexpire', KEYS[1], ARGV[4])
+  return 1`;
+
+function addPresence(pipeline, accountId, now) {
+  const key = presenceKey(accountId);
+  pipeline.zadd(key, now + PRESENCE_TTL_MS, INSTANCE_ID);
+  pipeline.zremrangebyscore(key, '-inf', now);
+  pipeline.pexpire(key, PRESENCE_TTL_MS);
+}
+
+function markPresent(accountId) {
+  if (!cache.redis) return;
+  const pipeline = cache.redis.pipeline();
+  addPresence(pipeline, accountId, Date.now());
+  pipeline.exec().catch(() => {});
+}
+
+function markAbsent(accountId) {
+  if (!cache.redis) return;
+  cache.redis.pipeline()
+    .zrem(presenceKey(accountId), INSTANCE_ID)
+    .hdel(socketsKey(accountId), INSTANCE_ID)
+    .exec()
+    .catch(() => {});
+}
+
+/**
+ * Take one of the account's MAX_SOCKETS_PER_ACCOUNT slots across all instances.
+ * Resolves false when the account is at the cap. If Redis is unavailable
+ * only this instance's sockets are counted.
+ */
+async function reserveSocket(accountId) {
+  const local = connections.get(accountId);
+  if (local && local.size >= MAX_SOCKETS) return false;
+  if (!cache.redis) return true;
+
+  try {
+    const reserved = await cache.redis.eval(
+      RESERVE_SOCKET, 2, socketsKey(accountId), presenceKey(accountId),
+      INSTANCE_ID, Date.now(), MAX_SOCKETS, PRESENCE_TTL_MS
+    );
+    return reserved === 1;
+  } catch {
+    return true;
+  }
+}
+
+// Give back a slot; the last socket's slot goes with markAbsent
+function releaseSocket(accountId) {
+  if (!cache.redis) return;
+  cache.redis.hincrby(socketsKey(accountId), INSTANCE_ID, -1).catch(() => {});
+}
+
+// Refresh presence and socket counts for every account held here; entries of
+// dead instances expire, and any drift in the counts is corrected
+function heartbeat() {
+  if (!cache.redis || connections.size === 0) return;
+  const now = Date.now();
+  const pipeline = cache.redis.pipeline();
+  for (const [accountId, sockets] of connections) {
+    addPresence(pipeline, accountId, now);
+    pipeline.hset(socketsKey(accountId), INSTANCE_ID, sockets.size);
+    pipeline.pexpire(socketsKey(accountId), PRESENCE_TTL_MS);
+  }
+  pipeline.exec().catch(() => {});
+}
+
+/**
+ * Hand an event to every other live instance holding sockets for the account.
+ * Best effort: a Redis outage degrades to local-only delivery.
+ */
+async function relay(accountId, event) {
+  const redis = cache.redis;
+  if (!redis) return;
+
+  try {
+    const instances = await redis.zrangebyscore(presenceKey(accountId), Date.now(), '+inf');
+    const remote = instances.filter(id => id !== INSTANCE_ID);
+    if (remote.length === 0) return;
+
+    const data = JSON.stringify(event);
+    const pipeline = redis.pipeline();
+    for (const id of remote) pipeline.publish(instanceChannel(id), data);
+    await pipeline.exec();
+  } catch {
+    // Queued messages are still fetched on the next connection or REST poll
+  }
+}
+
+// Close the socket when its token expires; a refresh reschedules this
+function scheduleExpiry(ws, exp) {
+  clearTimeout(ws.expiryTimer);
+  if (!exp) return;
+
+  const remaining = exp * 1000 - Date.now();
+  ws.expiryTimer = remaining > MAX_TIMER_MS
+    ? setTimeout(() => scheduleExpiry(ws, exp), MAX_TIMER_MS)
+    : setTimeout(() => ws.close(4006, 'token_expired'), Math.max(remaining, 0));
+}
+
+// Terminate sockets that missed the previous ping, then ping the rest
+function startKeepalive(wss) {
+  const timer = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (ws.isAlive === false) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL_MS);
+  timer.unref();
+  wss.on('close', () => clearInterval(timer));
+}
+
 function setupWebSocket(wss) {
+  startKeepalive(wss);
+
   wss.on('connection', (ws, req) => {
     let accountId = null;
+    let authenticating = false;
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    const authTimer = setTimeout(() => {
+      if (!accountId) ws.close(4004, 'auth_timeout');
+    }, AUTH_TIMEOUT_MS);
 
-    ws.on('message', (data) => {
+    ws.on('message', async (data) => {
       try {
         const message = JSON.parse(data.toString());
 
-        // First message must be authentication
+        // Frames arriving while the auth frame is being verified are dropped
+        if (authenticating) return;
+
+        // First message must be authentication:
+        // { type: 'auth', token, push?: boolean, window?: number }
         if (!accountId) {
           if (message.type !== 'auth' || !message.token) {
             ws.close(4001, 'auth_required');
             return;
           }
 
+          authenticating = true;
           try {
-            const payload = jwt.verify(message.token, process.env.JWT_SECRET);
+            const payload = await verifyToken(message.token);
+            if (ws.readyState !== 1) return;
+
+            if (!await reserveSocket(payload.sub)) {
+              ws.close(4005, 'too_many_connections');
+              return;
+            }
+            if (ws.readyState !== 1) {
+              releaseSocket(payload.sub);
+              return;
+            }
+
             accountId = payload.sub;
+            ws.deviceId = payload.dev || 1;
+            ws.jti = payload.jti;
+            clearTimeout(authTimer);
+            scheduleExpiry(ws, payload.exp);
 
             // Register connection
             if (!connections.has(accountId)) {
               connections.set(accountId, new Set());
+              markPresent(accountId);
             }
             connections.get(accountId).add(ws);
 
-            ws.send(JSON.stringify({ type: 'auth_ok' }));
+            ws.send(JSON.stringify({
+              type: 'auth_ok', push: Boolean(message.push), expires_at: payload.exp,
+            }));
+
+            // Push mode: start draining the offline backlog right away
+            if (message.push === true) {
+              ws.push = createPushSession(ws, accountId, ws.deviceId, message.window);
+              ws.push.pump();
+            }
           } catch {
             ws.close(4002, 'invalid_token');
+          } finally {
+            authenticating = false;
           }
           return;
         }
 
-        // Authenticated: only ping/pong allowed — no relay of raw messages
+        // Authenticated: ping/pong, token refresh and push acks only —
+        // no relay of raw messages
         if (message.type === 'ping') {
           ws.send(JSON.stringify({ type: 'pong' }));
+        } else if (message.type === 'refresh') {
+          await refresh(ws, accountId, message.token);
+        } else if (message.type === 'ack' && ws.push) {
+          await ws.push.ack(message.ids);
         }
 
       } catch {
@@ -56,10 +285,15 @@ function setupWebSocket(wss) {
     });
 
     ws.on('close', () => {
+      clearTimeout(authTimer);
+      clearTimeout(ws.expiryTimer);
       if (accountId && connections.has(accountId)) {
         connections.get(accountId).delete(ws);
         if (connections.get(accountId).size === 0) {
           connections.delete(accountId);
+          markAbsent(accountId);
+        } else {
+          releaseSocket(accountId);
         }
       }
     });
@@ -70,21 +304,138 @@ function setupWebSocket(wss) {
   });
 }
 
+/**
+ * Swap the socket onto a newer token for the same account and device.
+ * A rejected token leaves the socket on its current one until that expires.
+ */
+async function refresh(ws, accountId, token) {
+  let payload = null;
+  try {
+    payload = await verifyToken(String(token || ''));
+  } catch {
+    // Fall through to refresh_failed
+  }
+  if (ws.readyState !== 1) return;
+
+  if (!payload || payload.sub !== accountId || (payload.dev || 1) !== ws.deviceId) {
+    ws.send(JSON.stringify({ type: 'refresh_failed' }));
+    return;
+  }
+
+  ws.jti = payload.jti;
+  scheduleExpiry(ws, payload.exp);
+  ws.send(JSON.stringify({ type: 'refresh_ok', expires_at: payload.exp }));
+}
+
+/**
+ * Send a new key change feed entry ({ seq, account_hash }) to every
+ * authenticated socket on every instance. A client that misses it still finds
+ * the entry with GET /api/v1/keys/changes.
+ */
+function notifyKeyChange(entry) {
+  broadcastKeyChangeLocal(entry);
+  if (!cache.redis) return;
+
+  const event = { type: 'key_change', origin: INSTANCE_ID, entry };
+  cache.redis.publish(KEY_CHANGE_CHANNEL, JSON.stringify(event)).catch(() => {});
+}
+
+function broadcastKeyChangeLocal(entry) {
+  const data = JSON.stringify({ type: 'identity_key_changed', seq: entry.seq, account_hash: entry.account_hash });
+  for (const sockets of connections.values()) {
+    for (const socket of sockets) {
+      if (socket.readyState === 1) socket.send(data);
+    }
+  }
+}
+
 /**
  * Notify a connected account that a new message is waiting.
  * Does NOT send message content — only a delivery notification.
  * Client will fetch and decrypt via REST API.
+ * With a `deviceId`, only that device's sockets are notified.
+ * Push-mode sockets get the message itself from the queue instead.
  */
-function broadcastToAccount(accountId, payload) {
+function broadcastToAccount(accountId, payload, deviceId = null) {
+  deliverLocal(accountId, payload, deviceId);
+  relay(accountId, { type: 'deliver', account_id: accountId, device_id: deviceId, payload });
+}
+
+function deliverLocal(accountId, payload, deviceId) {
   const sockets = connections.get(accountId);
   if (!sockets || sockets.size === 0) return;
 
   const data = JSON.stringify(payload);
   for (const socket of sockets) {
-    if (socket.readyState === 1) { // OPEN
+    if (deviceId !== null && socket.deviceId !== deviceId) continue;
+    if (socket.push && payload.type === 'new_message') {
+      socket.push.pump();
+    } else if (socket.readyState === 1) { // OPEN
       socket.send(data);
     }
   }
 }
 
-module.exports = { setupWebSocket, broadcastToAccount };
+/**
+ * Close live sockets whose session was revoked.
+ * Narrowed to one token (`jti`) or one device (`deviceId`); otherwise all of the account's.
+ */
+function closeSessions(accountId, { jti = null, deviceId = null } = {}) {
+  closeLocal(accountId, jti, deviceId);
+  relay(accountId, { type: 'close', account_id: accountId, jti, device_id: deviceId });
+}
+
+function closeLocal(accountId, jti, deviceId) {
+  const sockets = connections.get(accountId);
+  if (!sockets) return;
+
+  for (const socket of sockets) {
+    if (jti && socket.jti !== jti) continue;
+    if (deviceId !== null && socket.deviceId !== deviceId) continue;
+    socket.close(4003, 'session_revoked');
+  }
+}
+
+/**
+ * Subscribe to this instance's channel and start the presence heartbeat.
+ * Call once Redis is connected.
+ */
+async function startFanout() {
+  const subscriber = cache.subscriber;
+
+  subscriber.on('message', (channel, data) => {
+    try {
+      const event = JSON.parse(data);
+      if (event.type === 'deliver') {
+        deliverLocal(event.account_id, event.payload, event.device_id);
+      } else if (event.type === 'close') {
+        closeLocal(event.account_id, event.jti, event.device_id);
+      } else if (event.type === 'key_change' && event.origin !== INSTANCE_ID) {
+        broadcastKeyChangeLocal(event.entry);
+      }
+    } catch {
+      // Ignore malformed events
+    }
+  });
+
+  await subscriber.subscribe(instanceChannel(INSTANCE_ID), KEY_CHANGE_CHANNEL);
+  setInterval(heartbeat, HEARTBEAT_MS).unref();
+}
+
+/**
+ * Authenticated sockets on this instance, for metrics.
+ */
+function socketCount() {
+  let count = 0;
+  for (const sockets of connections.values()) count += sockets.size;
+  return count;
+}
+
+module.exports = {
+  setupWebSocket,
+  startFanout,
+  broadcastToAccount,
+  closeSessions,
+  notifyKeyChange,
+  socketCount,
+};